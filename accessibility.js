@@ -0,0 +1,302 @@
+//=============================================================================
+// ACCESSIBILITY
+// Node divs carry an ARIA label with their index, value and role in the tree
+// and can be walked with the arrow keys (Up = parent, Down = first child,
+// Left/Right = siblings, Home/End = first/last). Heaps drawn on the canvas get
+// the same keys on the tree itself. Steps and messages are read out through an
+// aria-live region. "Reduce motion" hides the cat cursor and the node fly-in
+// transitions.
+//=============================================================================
+const REDUCED_MOTION_KEY = 'heapReducedMotion';
+
+let focusedNodeId = 'node-1'; // Node div that takes part in the tab order
+let reducedMotion = false;
+const forestNodeLinks = new Map(); // node div id -> { parent, firstChild, previous, next } div ids
+
+
+//=============================================================================
+// NODE LABELS
+// Called by renderNodes and renderForestNodes for every node they draw.
+//=============================================================================
+function valueLabel(value) {
+    return value instanceof PriorityItem ? `priority ${value.priority}, label ${value.label}` : `value ${value}`;
+}
+
+// e.g. "Index 5, value 3, right child of index 2 (value 9), leaf"
+function arrayNodeLabel(heapArray, i, d) {
+    const size = heapArray.length - 1;
+    const parts = [`Index ${i}`, valueLabel(heapArray[i])];
+    if (i === 1) {
+        parts.push('root');
+    } else {
+        const p = parent(i, d);
+        const slot = i - first_child(p, d);
+        const name = d === 2 ? (slot === 0 ? 'left child' : 'right child') : `child ${slot + 1} of ${d}`;
+        parts.push(`${name} of index ${p} (${valueLabel(heapArray[p])})`);
+    }
+    const children = Math.max(0, Math.min(last_child(i, d), size) - first_child(i, d) + 1);
+    parts.push(children === 0 ? 'leaf' : `${children} ${children === 1 ? 'child' : 'children'}`);
+    return parts.join(', ');
+}
+
+function makeTreeItem(nodeDiv, label, level) {
+    nodeDiv.setAttribute('role', 'treeitem');
+    nodeDiv.setAttribute('aria-label', label);
+    nodeDiv.setAttribute('aria-level', String(level));
+    nodeDiv.tabIndex = nodeDiv.id === focusedNodeId ? 0 : -1;
+}
+
+function labelArrayNode(nodeDiv, heapArray, i) {
+    const d = currentHeap.d;
+    let level = 1;
+    for (let k = i; k > 1; k = parent(k, d)) level++;
+    makeTreeItem(nodeDiv, arrayNodeLabel(heapArray, i, d), level);
+}
+
+/**
+ * Labels a forest node and remembers its neighbours for the arrow keys.
+ * @param {Array} siblings The root list or the parent's children, node included.
+ */
+function labelForestNode(nodeDiv, node, parentNode, siblings, level, secondary) {
+    const position = siblings.indexOf(node);
+    const id = (other) => other ? `forest-node-${other.id}` : null;
+    const children = node.children.filter(Boolean);
+    forestNodeLinks.set(nodeDiv.id, {
+        parent: id(parentNode),
+        firstChild: id(children[0]),
+        previous: id(siblings[position - 1]),
+        next: id(siblings[position + 1])
+    });
+
+    const role = parentNode
+        ? `child of node #${parentNode.id} (${valueLabel(parentNode.value)})`
+        : `root ${position + 1} of ${siblings.length}${secondary ? ' in heap B' : ''}`;
+    const childText = children.length === 0 ? 'leaf' : `${children.length} ${children.length === 1 ? 'child' : 'children'}`;
+    makeTreeItem(nodeDiv, `Node #${node.id}, ${valueLabel(node.value)}, ${role}, ${childText}${node.mark ? ', marked' : ''}`, level);
+}
+
+
+//=============================================================================
+// KEYBOARD NAVIGATION
+// A roving tabindex: one node is in the tab order and the arrow keys move it.
+//=============================================================================
+function arrayNeighbour(i, key) {
+    const size = renderedTree.length - 1;
+    const d = currentHeap.d;
+    const p = i > 1 ? parent(i, d) : null;
+    switch (key) {
+        case 'ArrowUp': return p;
+        case 'ArrowDown': return first_child(i, d) <= size ? first_child(i, d) : null;
+        case 'ArrowLeft': return p && i > first_child(p, d) ? i - 1 : null;
+        case 'ArrowRight': return p && i < last_child(p, d) && i < size ? i + 1 : null;
+        case 'Home': return 1;
+        case 'End': return size;
+        default: return null;
+    }
+}
+
+// Follows one link of a forest node as far as it goes (Home/End on the root list)
+function lastForestLink(divId, link) {
+    let id = divId;
+    while (forestNodeLinks.get(id)[link]) id = forestNodeLinks.get(id)[link];
+    return id;
+}
+
+function forestNeighbour(divId, key) {
+    const links = forestNodeLinks.get(divId);
+    if (!links) return null;
+    switch (key) {
+        case 'ArrowUp': return links.parent;
+        case 'ArrowDown': return links.firstChild;
+        case 'ArrowLeft': return links.previous;
+        case 'ArrowRight': return links.next;
+        case 'Home': return lastForestLink(lastForestLink(divId, 'parent'), 'previous');
+        case 'End': return lastForestLink(lastForestLink(divId, 'parent'), 'next');
+        default: return null;
+    }
+}
+
+function focusNode(nodeDiv) {
+    const previous = document.getElementById(focusedNodeId);
+    if (previous) previous.tabIndex = -1;
+    focusedNodeId = nodeDiv.id;
+    nodeDiv.tabIndex = 0;
+    nodeDiv.focus();
+}
+
+const NO_NEIGHBOUR_MESSAGES = {
+    ArrowUp: 'This is a root.',
+    ArrowDown: 'This node has no children.',
+    ArrowLeft: 'No sibling to the left.',
+    ArrowRight: 'No sibling to the right.'
+};
+
+function handleTreeKeys(event) {
+    if (event.target === nodeContainer && canvasFocusIndex !== null) return handleCanvasTreeKeys(event);
+    const nodeDiv = event.target.closest('.node');
+    if (!nodeDiv || event.ctrlKey || event.metaKey || event.altKey) return;
+    const isArrayNode = nodeDiv.id.startsWith('node-');
+
+    // Enter edits the value, like a click (node-editor.js)
+    if (event.key === 'Enter' && isArrayNode && canEditNodes()) {
+        event.preventDefault();
+        return openNodeEditor(nodeIndexOf(nodeDiv));
+    }
+    if (!['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(event.key)) return;
+    event.preventDefault();
+
+    let targetId = null;
+    if (isArrayNode) {
+        const index = arrayNeighbour(nodeIndexOf(nodeDiv), event.key);
+        targetId = index === null ? null : `node-${index}`;
+    } else {
+        targetId = forestNeighbour(nodeDiv.id, event.key);
+    }
+
+    const target = targetId && document.getElementById(targetId);
+    if (target && target !== nodeDiv) {
+        focusNode(target);
+    } else if (NO_NEIGHBOUR_MESSAGES[event.key]) {
+        announce(NO_NEIGHBOUR_MESSAGES[event.key]);
+    }
+}
+
+// A root takes over the place in the tab order when the focused node disappears
+function ensureFocusableNode(container) {
+    if (container.querySelector('.node[tabindex="0"]')) return;
+    const first = container.querySelector('.node[aria-level="1"]');
+    if (!first) return;
+    focusedNodeId = first.id;
+    first.tabIndex = 0;
+}
+
+
+//=============================================================================
+// CANVAS NODES
+// Heaps above LARGE_HEAP_NODES have no node divs (viewport.js). The tree
+// container then is the tab stop, the arrow keys move a focus ring drawn on
+// the canvas, and the node under the ring is read out after every move. A
+// note in the viewport (its own live region) says so.
+//=============================================================================
+const TREE_LABEL = 'Heap tree. Use the arrow keys to move between parent, children and siblings.';
+
+let canvasFocusIndex = null; // Node with the focus ring, null while nodes are divs
+const canvasTreeNote = document.getElementById('canvasTreeNote');
+
+// Called by renderNodes: switches the tree between node divs and canvas
+// nodes, taking the keyboard focus along
+function syncCanvasTreeAccess(heapArray) {
+    const size = heapArray.length - 1;
+    if (usesCanvasNodes(heapArray)) {
+        if (canvasFocusIndex === null) {
+            const focusedDiv = nodeContainer.querySelector('.node:focus');
+            canvasFocusIndex = focusedDiv ? nodeIndexOf(focusedDiv) : 1;
+            nodeContainer.tabIndex = 0;
+            if (focusedDiv) nodeContainer.focus();
+        }
+        canvasFocusIndex = Math.min(canvasFocusIndex, size);
+        canvasTreeNote.textContent = `${size} nodes are drawn as an image. ` +
+            'Focus the tree and use the arrow keys to move between them; each one is read out.';
+        canvasTreeNote.classList.remove('hidden');
+        nodeContainer.setAttribute('aria-label', `Heap tree of ${size} nodes, drawn as an image. ` +
+            'Use the arrow keys to move between parent, children and siblings; Enter edits the node.');
+    } else if (canvasFocusIndex !== null) {
+        const target = document.getElementById(`node-${Math.min(canvasFocusIndex, size)}`);
+        const hadFocus = document.activeElement === nodeContainer;
+        canvasFocusIndex = null;
+        nodeContainer.removeAttribute('tabindex');
+        nodeContainer.setAttribute('aria-label', TREE_LABEL);
+        canvasTreeNote.classList.add('hidden');
+        if (target && hadFocus) focusNode(target);
+    }
+}
+
+function canvasNodeLabel(index) {
+    const label = arrayNodeLabel(renderedTree, index, currentHeap.d);
+    return positions[index] ? label : `${label} (in a collapsed level)`;
+}
+
+function focusCanvasNode(index) {
+    canvasFocusIndex = index;
+    revealCanvasNode(index);
+    requestTreeRedraw();
+    announce(canvasNodeLabel(index));
+}
+
+function handleCanvasTreeKeys(event) {
+    if (event.ctrlKey || event.metaKey || event.altKey) return;
+    if (event.key === 'Enter' && canEditNodes()) {
+        event.preventDefault();
+        return openNodeEditor(canvasFocusIndex);
+    }
+    if (!['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Home', 'End'].includes(event.key)) return;
+    event.preventDefault();
+
+    const index = arrayNeighbour(canvasFocusIndex, event.key);
+    if (index !== null && index !== canvasFocusIndex) {
+        focusCanvasNode(index);
+    } else if (NO_NEIGHBOUR_MESSAGES[event.key]) {
+        announce(NO_NEIGHBOUR_MESSAGES[event.key]);
+    }
+}
+
+// The ring is only drawn while the tree has the focus
+function handleCanvasTreeFocus(event) {
+    if (canvasFocusIndex === null || event.target !== nodeContainer) return;
+    scrollContainer.classList.toggle('canvas-tree-focused', event.type === 'focus');
+    if (event.type === 'focus') announce(canvasNodeLabel(canvasFocusIndex));
+    requestTreeRedraw();
+}
+
+
+//=============================================================================
+// NARRATION
+//=============================================================================
+function announce(text) {
+    const region = document.getElementById('narration');
+    if (region) region.textContent = text;
+}
+
+// Called by the player for every step it shows
+function announceStep(description) {
+    announce(`${player.label}. ${description}`);
+}
+
+
+//=============================================================================
+// REDUCED MOTION
+// Defaults to the system preference until the checkbox is used.
+//=============================================================================
+function applyReducedMotion(enabled) {
+    reducedMotion = enabled;
+    document.body.classList.toggle('reduced-motion', enabled);
+    document.getElementById('reducedMotion').checked = enabled;
+}
+
+function handleReducedMotionToggle() {
+    applyReducedMotion(document.getElementById('reducedMotion').checked);
+    try {
+        localStorage.setItem(REDUCED_MOTION_KEY, reducedMotion ? 'on' : 'off');
+    } catch (error) {
+        // Not stored: the setting still applies to this visit
+    }
+}
+
+function storedReducedMotion() {
+    try {
+        const stored = localStorage.getItem(REDUCED_MOTION_KEY);
+        if (stored !== null) return stored === 'on';
+    } catch (error) {
+        // Storage disabled: fall back to the system setting
+    }
+    return Boolean(window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches);
+}
+
+window.addEventListener('load', () => {
+    applyReducedMotion(storedReducedMotion());
+    document.getElementById('reducedMotion').addEventListener('change', handleReducedMotionToggle);
+    nodeContainer.addEventListener('keydown', handleTreeKeys);
+    nodeContainer.addEventListener('focus', handleCanvasTreeFocus);
+    nodeContainer.addEventListener('blur', handleCanvasTreeFocus);
+    forestNodeContainer.addEventListener('keydown', handleTreeKeys);
+});
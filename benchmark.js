@@ -0,0 +1,209 @@
+//=============================================================================
+// INPUT GENERATORS
+// Number lists of a chosen size for #loadArray and the benchmark. "Worst
+// case for insert" is ascending for a Max Heap and descending for a Min Heap,
+// so every new value has to climb all the way to the root.
+//=============================================================================
+const MAX_GENERATED_SIZE = 5000;
+const DUPLICATE_KEYS = 5; // Distinct values in a "many duplicates" list
+
+const randomInt = (max) => Math.floor(Math.random() * max);
+
+// Values stay below 100000 so they fit the 5 characters of a node
+function randomValues(n) {
+    const range = Math.min(99999, Math.max(100, n * 10));
+    return Array.from({ length: n }, () => String(randomInt(range)));
+}
+
+function sortedValues(n, descending = false) {
+    const values = randomValues(n).sort((a, b) => compareValues(a, b, keyType));
+    return descending ? values.reverse() : values;
+}
+
+const INPUT_GENERATORS = {
+    random: { label: 'Random', generate: n => randomValues(n) },
+    sorted: { label: 'Sorted', generate: n => sortedValues(n) },
+    reversed: { label: 'Reverse-sorted', generate: n => sortedValues(n, true) },
+    duplicates: {
+        label: 'Many duplicates',
+        generate: n => Array.from({ length: n }, () => String(1 + randomInt(DUPLICATE_KEYS)))
+    },
+    worstInsert: {
+        label: 'Worst case for insert',
+        generate: n => sortedValues(n, currentHeapType === 'MinHeap')
+    }
+};
+
+
+//=============================================================================
+// BENCHMARK
+// Runs bottom-up build and n repeated inserts on throwaway heaps, counting
+// the compare and swap events. Nothing is animated and the current heap is
+// left alone.
+//=============================================================================
+const BENCHMARK_POINTS = 10;
+
+function countEvents(heap, operation) {
+    const counts = { comparisons: 0, swaps: 0 };
+    const unsubscribe = heap.subscribe(event => {
+        if (event.type === 'compare') counts.comparisons++;
+        if (event.type === 'swap') counts.swaps++;
+    });
+    operation(heap);
+    unsubscribe();
+    return counts;
+}
+
+function benchmarkSize(n, generate) {
+    const values = generate(n);
+    const HeapClass = currentHeapType === 'MinHeap' ? MinHeap : MaxHeap;
+    const build = countEvents(new HeapClass(branchingFactor, keyType), heap => heap.build(values));
+    const insert = countEvents(new HeapClass(branchingFactor, keyType),
+        heap => values.forEach(value => heap.insert(value)));
+    return { n, build, insert };
+}
+
+function runBenchmark(maxN, generate) {
+    const results = [];
+    for (let k = 1; k <= BENCHMARK_POINTS; k++) {
+        results.push(benchmarkSize(Math.round(maxN * k / BENCHMARK_POINTS), generate));
+    }
+    return results;
+}
+
+
+//=============================================================================
+// BENCHMARK CHART
+// Comparisons and swaps against n, next to the reference curves n and
+// n log2 n. Solid lines are build-heap, dashed lines repeated inserts.
+//=============================================================================
+const CHART_PADDING = { left: 60, right: 20, top: 20, bottom: 40 };
+const CHART_SERIES = [
+    { label: 'build comparisons', color: '#4f46e5', value: r => r.build.comparisons },
+    { label: 'build swaps', color: '#0d9488', value: r => r.build.swaps },
+    { label: 'insert comparisons', color: '#4f46e5', dash: [6, 4], value: r => r.insert.comparisons },
+    { label: 'insert swaps', color: '#0d9488', dash: [6, 4], value: r => r.insert.swaps },
+    { label: 'n log₂ n', color: '#ef4444', dash: [2, 3], value: r => r.n * Math.log2(r.n) },
+    { label: 'n', color: '#9ca3af', dash: [2, 3], value: r => r.n }
+];
+
+function drawBenchmarkChart(results) {
+    const chart = document.getElementById('benchmarkChart');
+    const chartCtx = chart.getContext('2d');
+    chart.width = chart.parentElement.clientWidth || 600;
+    const width = chart.width - CHART_PADDING.left - CHART_PADDING.right;
+    const height = chart.height - CHART_PADDING.top - CHART_PADDING.bottom;
+
+    const maxN = results[results.length - 1].n;
+    const maxY = Math.max(...results.flatMap(r => CHART_SERIES.map(series => series.value(r))));
+    const toX = n => CHART_PADDING.left + (n / maxN) * width;
+    const toY = y => CHART_PADDING.top + height - (y / maxY) * height;
+
+    chartCtx.clearRect(0, 0, chart.width, chart.height);
+
+    // Axes with a label at the top of each
+    chartCtx.strokeStyle = '#6b7280';
+    chartCtx.lineWidth = 1;
+    chartCtx.setLineDash([]);
+    chartCtx.beginPath();
+    chartCtx.moveTo(CHART_PADDING.left, CHART_PADDING.top);
+    chartCtx.lineTo(CHART_PADDING.left, CHART_PADDING.top + height);
+    chartCtx.lineTo(CHART_PADDING.left + width, CHART_PADDING.top + height);
+    chartCtx.stroke();
+    chartCtx.fillStyle = '#374151';
+    chartCtx.font = '12px sans-serif';
+    chartCtx.textAlign = 'right';
+    chartCtx.textBaseline = 'middle';
+    chartCtx.fillText(String(Math.round(maxY)), CHART_PADDING.left - 6, CHART_PADDING.top);
+    chartCtx.fillText('0', CHART_PADDING.left - 6, CHART_PADDING.top + height);
+    chartCtx.textAlign = 'center';
+    chartCtx.textBaseline = 'top';
+    results.forEach(r => chartCtx.fillText(String(r.n), toX(r.n), CHART_PADDING.top + height + 6));
+    chartCtx.fillText('n', CHART_PADDING.left + width / 2, CHART_PADDING.top + height + 22);
+
+    CHART_SERIES.forEach(series => {
+        chartCtx.strokeStyle = series.color;
+        chartCtx.lineWidth = 2;
+        chartCtx.setLineDash(series.dash || []);
+        chartCtx.beginPath();
+        chartCtx.moveTo(toX(0), toY(0));
+        results.forEach(r => chartCtx.lineTo(toX(r.n), toY(series.value(r))));
+        chartCtx.stroke();
+    });
+    chartCtx.setLineDash([]);
+}
+
+// Legend entries are drawn once, matching the colors and dashes of CHART_SERIES
+function renderBenchmarkLegend() {
+    const legend = document.getElementById('benchmarkLegend');
+    legend.textContent = '';
+    CHART_SERIES.forEach(series => {
+        const item = document.createElement('span');
+        item.className = 'flex items-center gap-1';
+        const swatch = document.createElement('span');
+        swatch.className = 'inline-block w-6';
+        swatch.style.borderTop = `2px ${series.dash ? 'dashed' : 'solid'} ${series.color}`;
+        item.append(swatch, series.label);
+        legend.appendChild(item);
+    });
+}
+
+// One sentence per heap construction for the largest n, as multiples of n and n log2 n
+function summarizeBenchmark(results) {
+    const { n, build, insert } = results[results.length - 1];
+    const nLogN = n * Math.log2(n);
+    return `n = ${n}: build-heap made ${build.comparisons} comparisons (${(build.comparisons / n).toFixed(2)} × n) ` +
+        `and ${build.swaps} swaps. ${n} inserts made ${insert.comparisons} comparisons ` +
+        `(${(insert.comparisons / nLogN).toFixed(2)} × n log₂ n) and ${insert.swaps} swaps.`;
+}
+
+
+//=============================================================================
+// GENERATOR & BENCHMARK EVENT HANDLERS
+//=============================================================================
+function readGeneratorSize(inputId) {
+    const size = parseInt(document.getElementById(inputId).value);
+    if (isNaN(size) || size < 1 || size > MAX_GENERATED_SIZE) {
+        showMessage(`Size must be a number from 1 to ${MAX_GENERATED_SIZE}.`, true);
+        return null;
+    }
+    return size;
+}
+
+function selectedGenerator() {
+    return INPUT_GENERATORS[document.getElementById('generatorKind').value];
+}
+
+async function generateInputHandler() {
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    const size = readGeneratorSize('generatorSize');
+    if (size === null) return;
+    const values = selectedGenerator().generate(size);
+    const problem = valueError(values[0]);
+    if (problem) return showMessage(`Generated numbers do not fit the key type: ${problem}`, true);
+
+    document.getElementById('loadArray').value = values.join(', ');
+    await loadArrayHandler();
+}
+
+function runBenchmarkHandler() {
+    if (!requireArrayHeap("The benchmark")) return;
+    const maxN = readGeneratorSize('benchmarkMaxN');
+    if (maxN === null) return;
+    if (maxN < BENCHMARK_POINTS) return showMessage(`Use a largest n of at least ${BENCHMARK_POINTS}.`, true);
+    const generator = selectedGenerator();
+    if (valueError(generator.generate(1)[0])) {
+        return showMessage("The benchmark uses numbers. Switch the key type to Auto, Numeric or a string type.", true);
+    }
+
+    const results = runBenchmark(maxN, generator.generate);
+    drawBenchmarkChart(results);
+    document.getElementById('benchmarkSummary').textContent =
+        `${generator.label} input, ${branchingFactor}-ary ${currentHeapType}. ${summarizeBenchmark(results)}`;
+}
+
+window.addEventListener('load', () => {
+    const select = document.getElementById('generatorKind');
+    Object.entries(INPUT_GENERATORS).forEach(([name, { label }]) => select.add(new Option(label, name)));
+    renderBenchmarkLegend();
+});
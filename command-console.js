@@ -0,0 +1,341 @@
+//=============================================================================
+// COMMAND CONSOLE
+// Runs scripts like "load 5,3,8; insert 10; extract; delete 2; type min"
+// through the same handlers as the buttons, one animated operation after the
+// other. A command that ends with an error toast stops the script. Scripts
+// can be saved as named presets (localStorage) to replay a demo exactly.
+//=============================================================================
+const MAX_CONSOLE_HISTORY = 50;
+const PRESET_STORAGE_KEY = 'heapConsolePresets';
+
+const consoleHistory = [];
+let consoleHistoryCursor = 0; // consoleHistory.length while not browsing
+let consoleRunning = false;
+let consoleStopRequested = false;
+
+const HEAP_TYPE_ALIASES = {
+    max: 'MaxHeap', min: 'MinHeap', binomial: 'BinomialHeap',
+    fibonacci: 'FibonacciHeap', leftist: 'LeftistHeap', skew: 'SkewHeap'
+};
+
+// Fills the form field a handler reads, then runs the handler
+async function runWithInput(inputId, value, handler) {
+    document.getElementById(inputId).value = value;
+    await handler();
+}
+
+async function runWithSelect(selectId, value, handler) {
+    const select = document.getElementById(selectId);
+    if (!Array.from(select.options).some(option => option.value === value)) {
+        return showMessage(`"${value}" is not an option of ${selectId}.`, true);
+    }
+    select.value = value;
+    await handler();
+}
+
+function heapTypeArgument(text) {
+    const name = text.toLowerCase().replace(/heap$/, '');
+    return HEAP_TYPE_ALIASES[name] || text;
+}
+
+function keyTypeArgument(text) {
+    const name = Object.keys(KEY_TYPES).find(key => key.toLowerCase().startsWith(text.toLowerCase()));
+    return name || text;
+}
+
+// Splits "3 7" into the index and the rest
+function indexAndValue(args) {
+    const [index, ...rest] = args.split(/\s+/);
+    return [index, rest.join(' ')];
+}
+
+// args: how many arguments the command takes ('rest' = everything after the name)
+// forest: only runs on the Binomial, Fibonacci, Leftist and Skew heaps
+const CONSOLE_COMMANDS = {
+    load: { args: 'rest', usage: 'load 5,3,8', run: a => runWithInput('loadArray', a, loadArrayHandler) },
+    insert: { args: 'rest', usage: 'insert 10', run: a => runWithInput('insertValue', a, insertElement) },
+    extract: { args: 0, usage: 'extract', run: () => extractElement() },
+    delete: { args: 1, usage: 'delete 2', run: a => runWithInput('deleteIndex', a, deleteAtIndexHandler) },
+    change: {
+        args: 2, usage: 'change 3 7',
+        run: async a => {
+            const [index, priority] = indexAndValue(a);
+            document.getElementById('priorityIndex').value = index;
+            await runWithInput('newPriority', priority, changePriorityHandler);
+        }
+    },
+    decrease: {
+        args: 2, usage: 'decrease #4 1', forest: true,
+        run: async a => {
+            const [node, value] = indexAndValue(a);
+            document.getElementById('decreaseNode').value = node;
+            await runWithInput('decreaseValue', value, decreaseKeyHandler);
+        }
+    },
+    heapb: { args: 'rest', usage: 'heapB 4,9,2', forest: true, run: a => runWithInput('secondValues', a, buildSecondHandler) },
+    meld: { args: 0, usage: 'meld', forest: true, run: () => meldSecondHandler() },
+    heapsort: { args: 0, usage: 'heapsort', run: () => heapsortHandler() },
+    repair: { args: 0, usage: 'repair', run: () => repairHeapHandler() },
+    type: { args: 1, usage: 'type min', run: a => runWithSelect('heapType', heapTypeArgument(a), handleTypeChange) },
+    d: { args: 1, usage: 'd 3', run: a => runWithSelect('branchingFactor', a, handleBranchingChange) },
+    key: { args: 1, usage: 'key numeric', run: a => runWithSelect('keyType', keyTypeArgument(a), handleKeyTypeChange) },
+    speed: {
+        args: 1, usage: 'speed 2',
+        run: a => {
+            const speed = parseFloat(a);
+            if (!(speed >= 0.25 && speed <= 4)) return showMessage("Speed must be between 0.25 and 4.", true);
+            document.getElementById('speedSlider').value = Math.log2(speed);
+            handleSpeedChange();
+        }
+    },
+    instant: {
+        args: 1, usage: 'instant on',
+        run: a => {
+            if (!['on', 'off'].includes(a)) return showMessage('Use "instant on" or "instant off".', true);
+            document.getElementById('instantMode').checked = a === 'on';
+            handleInstantToggle();
+        }
+    },
+    undo: {
+        args: 0, usage: 'undo',
+        run: () => historyIndex <= 0 ? showMessage("Nothing to undo.", true) : undoHandler()
+    },
+    redo: {
+        args: 0, usage: 'redo',
+        run: () => historyIndex >= historyEntries.length - 1 ? showMessage("Nothing to redo.", true) : redoHandler()
+    },
+    help: { args: 0, usage: 'help', run: () => printConsoleHelp() }
+};
+
+
+//=============================================================================
+// SCRIPT PARSING
+// Commands are separated by ";" or new lines. The whole script is checked
+// before the first command runs, so a typo never leaves a demo half done.
+//=============================================================================
+function parseScript(text) {
+    const commands = [];
+    const sources = text.split(/[;\n]/).map(source => source.trim()).filter(Boolean);
+    for (const source of sources) {
+        const [word] = source.split(/\s+/, 1);
+        const name = word.toLowerCase();
+        const args = source.slice(word.length).trim();
+        const command = CONSOLE_COMMANDS[name];
+
+        if (!command) throw new Error(`Unknown command "${word}". Type "help" for the list.`);
+        const count = args === '' ? 0 : args.split(/\s+/).length;
+        const wanted = command.args === 'rest' ? (count > 0) : count === command.args;
+        if (!wanted) throw new Error(`"${source}" needs different arguments. Usage: ${command.usage}`);
+        commands.push({ name, args, source });
+    }
+    return commands;
+}
+
+
+//=============================================================================
+// CONSOLE OUTPUT
+//=============================================================================
+function printConsoleLine(text, kind = 'info') {
+    const output = document.getElementById('consoleOutput');
+    const line = document.createElement('div');
+    line.className = `console-line console-${kind}`;
+    line.textContent = text;
+    output.appendChild(line);
+    output.scrollTop = output.scrollHeight;
+}
+
+function printConsoleHelp() {
+    const usages = Object.values(CONSOLE_COMMANDS).map(command => command.usage);
+    printConsoleLine(`Commands: ${usages.join(' · ')}`);
+    showMessage("Command list printed to the console.");
+}
+
+function updateConsoleControls() {
+    document.getElementById('consoleRunBtn').disabled = consoleRunning;
+    document.getElementById('consoleStopBtn').disabled = !consoleRunning;
+}
+
+
+//=============================================================================
+// SCRIPT EXECUTION
+//=============================================================================
+async function runScript(text) {
+    if (consoleRunning) return;
+    if (isBusy()) return showMessage("Wait for animation...", true);
+
+    let commands;
+    try {
+        commands = parseScript(text);
+    } catch (error) {
+        printConsoleLine(error.message, 'error');
+        return showMessage(error.message, true);
+    }
+    if (commands.length === 0) return;
+
+    consoleRunning = true;
+    consoleStopRequested = false;
+    updateConsoleControls();
+
+    try {
+        for (const [position, command] of commands.entries()) {
+            if (consoleStopRequested) {
+                printConsoleLine(`Stopped before "${command.source}".`, 'error');
+                break;
+            }
+            printConsoleLine(`> ${command.source}`, 'command');
+            lastMessage = null;
+            const { forest, run } = CONSOLE_COMMANDS[command.name];
+            try {
+                // Checked per command: an earlier "type" line may have switched heaps
+                if (!forest || requireForestHeap(`"${command.name}"`)) await run(command.args);
+            } catch (error) {
+                // A command that throws fails like one that reports an error
+                showMessage(error.message, true);
+            }
+
+            if (lastMessage && lastMessage.isError) {
+                const skipped = commands.length - position - 1;
+                printConsoleLine(`✗ ${lastMessage.text}${skipped > 0 ? ` (${skipped} command${skipped === 1 ? '' : 's'} skipped)` : ''}`, 'error');
+                break;
+            }
+            printConsoleLine(`✓ ${lastMessage ? lastMessage.text : 'done'}`, 'ok');
+        }
+    } finally {
+        consoleRunning = false;
+        updateConsoleControls();
+    }
+}
+
+function addConsoleHistory(text) {
+    if (consoleHistory[consoleHistory.length - 1] !== text) consoleHistory.push(text);
+    if (consoleHistory.length > MAX_CONSOLE_HISTORY) consoleHistory.shift();
+    consoleHistoryCursor = consoleHistory.length;
+}
+
+
+//=============================================================================
+// PRESETS
+// Named scripts kept in localStorage, e.g. one per lecture demo.
+//=============================================================================
+function readPresets() {
+    try {
+        return JSON.parse(localStorage.getItem(PRESET_STORAGE_KEY)) || {};
+    } catch (error) {
+        return {}; // Storage disabled or corrupted: start without presets
+    }
+}
+
+function writePresets(presets) {
+    try {
+        localStorage.setItem(PRESET_STORAGE_KEY, JSON.stringify(presets));
+        return true;
+    } catch (error) {
+        showMessage("Presets cannot be saved in this browser.", true);
+        return false;
+    }
+}
+
+function renderPresetList(selected = null) {
+    const select = document.getElementById('presetSelect');
+    const names = Object.keys(readPresets()).sort();
+    select.textContent = '';
+    if (names.length === 0) select.add(new Option('No saved presets', ''));
+    names.forEach(name => select.add(new Option(name, name)));
+    if (selected !== null) select.value = selected;
+}
+
+function selectedPreset() {
+    const name = document.getElementById('presetSelect').value;
+    const script = readPresets()[name];
+    if (script === undefined) showMessage("Select a saved preset first.", true);
+    return script === undefined ? null : { name, script };
+}
+
+
+//=============================================================================
+// CONSOLE EVENT HANDLERS
+//=============================================================================
+async function consoleRunHandler() {
+    const input = document.getElementById('consoleInput');
+    const text = input.value.trim();
+    if (!text) return;
+    addConsoleHistory(text);
+    input.value = '';
+    await runScript(text);
+}
+
+function consoleStopHandler() {
+    consoleStopRequested = true;
+}
+
+function handleConsoleKeys(event) {
+    const input = event.target;
+    if (event.key === 'Enter') {
+        event.preventDefault();
+        consoleRunHandler();
+    } else if (event.key === 'ArrowUp' && consoleHistoryCursor > 0) {
+        event.preventDefault();
+        input.value = consoleHistory[--consoleHistoryCursor];
+    } else if (event.key === 'ArrowDown' && consoleHistoryCursor < consoleHistory.length) {
+        event.preventDefault();
+        consoleHistoryCursor++;
+        input.value = consoleHistory[consoleHistoryCursor] || '';
+    }
+}
+
+// "/" anywhere outside a text field jumps to the console
+function handleConsoleFocusKey(event) {
+    if (event.key !== '/' || event.ctrlKey || event.metaKey) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+    event.preventDefault();
+    document.getElementById('consoleInput').focus();
+}
+
+function savePresetHandler() {
+    const name = document.getElementById('presetName').value.trim();
+    const script = document.getElementById('consoleInput').value.trim() || consoleHistory[consoleHistory.length - 1];
+    if (!name) return showMessage("Enter a preset name.", true);
+    if (!script) return showMessage("Type or run a script to save first.", true);
+    try {
+        parseScript(script);
+    } catch (error) {
+        return showMessage(error.message, true);
+    }
+
+    const presets = readPresets();
+    presets[name] = script;
+    if (!writePresets(presets)) return;
+    renderPresetList(name);
+    document.getElementById('presetName').value = '';
+    showMessage(`Saved preset "${name}".`);
+}
+
+function loadPresetHandler() {
+    const preset = selectedPreset();
+    if (preset) document.getElementById('consoleInput').value = preset.script;
+}
+
+async function runPresetHandler() {
+    const preset = selectedPreset();
+    if (!preset) return;
+    printConsoleLine(`Running preset "${preset.name}"`, 'command');
+    addConsoleHistory(preset.script);
+    await runScript(preset.script);
+}
+
+function deletePresetHandler() {
+    const preset = selectedPreset();
+    if (!preset) return;
+    const presets = readPresets();
+    delete presets[preset.name];
+    if (!writePresets(presets)) return;
+    renderPresetList();
+    showMessage(`Deleted preset "${preset.name}".`);
+}
+
+window.addEventListener('load', () => {
+    document.getElementById('consoleInput').addEventListener('keydown', handleConsoleKeys);
+    document.addEventListener('keydown', handleConsoleFocusKey);
+    renderPresetList();
+    updateConsoleControls();
+});
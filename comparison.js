@@ -0,0 +1,340 @@
+//=============================================================================
+// SIDE-BY-SIDE COMPARISON
+// Two independent array heaps (e.g. Max vs Min, binary vs 4-ary, build-heap
+// vs repeated insert) get the same input and operations. Both traces play in
+// lockstep on their own canvas, each with its own comparison/swap counters.
+// The panels never touch currentHeap or the main tree.
+//=============================================================================
+const COMPARISON_MAX_VALUES = 127; // Keeps both trees readable side by side
+const SWAP_FRAMES = 8;             // Tween frames of a swap
+
+const comparisonPanels = ['A', 'B'].map(name => ({
+    name,
+    canvasId: `compareCanvas${name}`,
+    heap: null,
+    settings: null,     // panelSettings() the heap was built with
+    initial: null,      // State before the first step of the current trace
+    steps: [],
+    position: 0,        // Steps of the current trace already shown
+    highlights: new Map(), // index -> highlight type
+    badge: null,        // { i, j, text } between two compared nodes
+    moving: null,       // { i, j, t } while a swap is tweened
+    counts: { comparisons: 0, swaps: 0 },   // Of the operation being played
+    totals: { comparisons: 0, swaps: 0 }    // Since the last build
+}));
+
+// Settings of a panel as chosen in its selects, with the page's key type
+function panelSettings(panel) {
+    const read = (setting) => document.getElementById(`compare${setting}${panel.name}`).value;
+    return { type: read('Type'), d: parseInt(read('D')), build: read('Build'), keyType };
+}
+
+function createPanelHeap({ type, d, keyType }) {
+    return type === 'MinHeap' ? new MinHeap(d, keyType) : new MaxHeap(d, keyType);
+}
+
+function describeSettings({ type, d, build, keyType }) {
+    const arity = d === 2 ? 'binary' : `${d}-ary`;
+    return `${arity} ${type}, ${build === 'insert' ? 'repeated insert' : 'build-heap'}, keys: ${KEY_TYPES[keyType].label}`;
+}
+
+// Describes the heap on screen. Selects changed since its build are shown as
+// pending until the next Build.
+function panelTitle(panel) {
+    const chosen = describeSettings(panelSettings(panel));
+    if (panel.settings === null) return `${panel.name}: ${chosen}`;
+    const built = describeSettings(panel.settings);
+    return `${panel.name}: ${built}${chosen === built ? '' : ` (next Build: ${chosen})`}`;
+}
+
+
+//=============================================================================
+// PANEL DRAWING
+// A panel state is drawn as a scene (see export.js) and painted onto the
+// panel canvas, so its nodes look like the big tree's canvas nodes. The
+// streaming demos (stream.js) draw and animate their panels the same way.
+//=============================================================================
+function panelScene(panel, state, width) {
+    const { heap: heapArray, sortedFrom } = state;
+    const d = panel.heap.d;
+    const size = sortedFrom - 1;
+    const layout = layoutTree(width, size, d);
+    const at = (i) => {
+        if (!panel.moving || (i !== panel.moving.i && i !== panel.moving.j)) return layout[i];
+        // A swapping node slides from its own slot towards the other one
+        const from = layout[i];
+        const to = layout[i === panel.moving.i ? panel.moving.j : panel.moving.i];
+        const t = panel.moving.t;
+        return { x: from.x + (to.x - from.x) * t, y: from.y + (to.y - from.y) * t };
+    };
+
+    const lines = [];
+    for (let i = 2; i <= size; i++) {
+        const p = parent(i, d);
+        const violates = !panel.heap.isOrdered(heapArray[p], heapArray[i]);
+        lines.push({
+            x1: layout[p].x, y1: layout[p].y + NODE_RADIUS, x2: layout[i].x, y2: layout[i].y - NODE_RADIUS,
+            color: violates ? '#ef4444' : '#9ca3af', width: violates ? 3 : 2
+        });
+    }
+
+    const nodes = [];
+    for (let i = 1; i <= size; i++) {
+        const value = heapArray[i];
+        const highlight = panel.highlights.get(i);
+        nodes.push({
+            ...at(i),
+            fill: i === 1 ? '#10b981' : '#6366f1',
+            border: highlight ? { color: CANVAS_HIGHLIGHT_COLORS[highlight], width: 4 } : null,
+            text: String(keyOf(value)),
+            sub: value instanceof PriorityItem ? value.label : null,
+            badge: null
+        });
+    }
+
+    const depth = size > 0 ? treeDepth(size, d) : 1;
+    const texts = [];
+    if (panel.badge && layout[panel.badge.i] && layout[panel.badge.j]) {
+        const { i, j, text } = panel.badge;
+        texts.push({ x: (layout[i].x + layout[j].x) / 2, y: (layout[i].y + layout[j].y) / 2, text, color: '#713f12', size: 12, weight: 700 });
+    }
+    // Heapsort output leaves the tree; it is listed underneath instead
+    if (sortedFrom < heapArray.length) {
+        texts.push({ x: width / 2, y: 50 + depth * LEVEL_HEIGHT, text: `Sorted: ${heapArray.slice(sortedFrom).join(', ')}`, color: '#6b7280', size: 12 });
+    }
+    return { width, height: 70 + depth * LEVEL_HEIGHT, lines, texts, nodes };
+}
+
+function drawPanel(panel, state = panel.heap ? captureState(panel.heap) : null) {
+    const panelCanvas = document.getElementById(panel.canvasId);
+    const context = panelCanvas.getContext('2d');
+    if (!state) {
+        context.clearRect(0, 0, panelCanvas.width, panelCanvas.height);
+        return;
+    }
+
+    // Wide trees scroll sideways inside the panel instead of overlapping
+    const size = state.sortedFrom - 1;
+    const leaves = size > 0 ? Math.pow(panel.heap.d, treeDepth(size, panel.heap.d) - 1) : 1;
+    const width = Math.max(panelCanvas.parentElement.clientWidth || 400, leaves * MIN_NODE_SPACING);
+    const scene = panelScene(panel, state, width);
+    panelCanvas.width = width;
+    panelCanvas.height = scene.height;
+    paintScene(context, scene, 1);
+}
+
+function updatePanelStatus(panel) {
+    const step = panel.steps[panel.position - 1];
+    document.getElementById(`compareTitle${panel.name}`).textContent = panelTitle(panel);
+    document.getElementById(`compareCounts${panel.name}`).textContent =
+        `This operation: ${panel.counts.comparisons} comparisons, ${panel.counts.swaps} swaps · ` +
+        `Total: ${panel.totals.comparisons} comparisons, ${panel.totals.swaps} swaps`;
+    document.getElementById(`compareStep${panel.name}`).textContent = panel.steps.length === 0
+        ? 'No steps.'
+        : `Step ${panel.position} / ${panel.steps.length}${step ? `: ${describeStep(step)}` : ''}`;
+}
+
+
+//=============================================================================
+// LOCKSTEP PLAYBACK
+// Step k of both traces runs at the same time. The shorter trace simply
+// finishes first, which is the point of the comparison.
+//=============================================================================
+function countPanelStep(panel, step) {
+    const field = step.type === 'compare' ? 'comparisons' : step.type === 'swap' ? 'swaps' : null;
+    if (!field) return;
+    panel.counts[field]++;
+    panel.totals[field]++;
+}
+
+async function animatePanelStep(panel, step) {
+    const before = panel.position === 0 ? panel.initial : panel.steps[panel.position - 1];
+    switch (step.type) {
+        case 'compare': {
+            const sign = step.result > 0 ? '>' : step.result < 0 ? '<' : '=';
+            panel.highlights = new Map([[step.i, 'compare'], [step.j, 'compare']]);
+            panel.badge = { i: step.i, j: step.j, text: `${step.heap[step.i]} ${sign} ${step.heap[step.j]}` };
+            drawPanel(panel, step);
+            await animationSleep(ANIMATION_DELAY);
+            break;
+        }
+        case 'swap':
+            panel.highlights = new Map([[step.i, 'swap'], [step.j, 'swap']]);
+            for (let frame = 1; frame <= SWAP_FRAMES; frame++) {
+                panel.moving = { i: step.i, j: step.j, t: frame / SWAP_FRAMES };
+                drawPanel(panel, before);
+                await animationSleep(ANIMATION_DELAY / SWAP_FRAMES);
+            }
+            panel.moving = null;
+            break;
+        case 'insert':
+        case 'update':
+            panel.highlights = new Map([[step.i, 'insert']]);
+            drawPanel(panel, step);
+            await animationSleep(ANIMATION_DELAY);
+            break;
+        case 'remove':
+            panel.highlights = new Map([[step.i, 'extract']]);
+            drawPanel(panel, before);
+            await animationSleep(ANIMATION_DELAY);
+            break;
+        case 'sorted':
+            panel.highlights = new Map([[step.i, 'sorted']]);
+            drawPanel(panel, step);
+            await animationSleep(ANIMATION_DELAY);
+            break;
+        default:
+            await animationSleep(ANIMATION_DELAY);
+    }
+    panel.highlights = new Map();
+    panel.badge = null;
+}
+
+async function advancePanel(panel) {
+    if (panel.position >= panel.steps.length) return;
+    const step = panel.steps[panel.position];
+    if (!instantMode) await animatePanelStep(panel, step);
+    countPanelStep(panel, step);
+    panel.position++;
+    drawPanel(panel, step);
+    updatePanelStatus(panel);
+}
+
+/**
+ * Runs an operation on both panel heaps and plays the two traces together.
+ * @param {Function} operation (heap, panel) => result, run once per panel.
+ * @returns {Array} The result of each panel.
+ */
+async function runComparison(operation) {
+    activeDemo = 'Comparison';
+    try {
+        const results = comparisonPanels.map(panel => {
+            panel.initial = captureState(panel.heap);
+            const { result, steps } = recordTrace(panel.heap, heap => operation(heap, panel));
+            panel.steps = steps;
+            panel.position = 0;
+            panel.counts = { comparisons: 0, swaps: 0 };
+            drawPanel(panel, panel.initial);
+            updatePanelStatus(panel);
+            return result;
+        });
+
+        const longest = Math.max(...comparisonPanels.map(panel => panel.steps.length));
+        for (let k = 0; k < longest; k++) {
+            await Promise.all(comparisonPanels.map(advancePanel));
+        }
+        comparisonPanels.forEach(panel => drawPanel(panel));
+        showComparisonSummary();
+        return results;
+    } finally {
+        activeDemo = null;
+    }
+}
+
+// Which panel needed fewer comparisons, and by how much
+function showComparisonSummary() {
+    const [a, b] = comparisonPanels;
+    const fewer = (x, y) => {
+        if (x.counts.comparisons === y.counts.comparisons) return 'Both made the same number of comparisons.';
+        const [winner, loser] = x.counts.comparisons < y.counts.comparisons ? [x, y] : [y, x];
+        const saved = Math.round(100 * (1 - winner.counts.comparisons / loser.counts.comparisons));
+        return `${winner.name} made ${saved}% fewer comparisons than ${loser.name}.`;
+    };
+    document.getElementById('compareSummary').textContent =
+        `A: ${a.counts.comparisons} comparisons, ${a.counts.swaps} swaps. ` +
+        `B: ${b.counts.comparisons} comparisons, ${b.counts.swaps} swaps. ${fewer(a, b)}`;
+}
+
+
+//=============================================================================
+// COMPARISON EVENT HANDLERS
+//=============================================================================
+function comparisonReady() {
+    if (isBusy()) {
+        showMessage("Wait for animation...", true);
+        return false;
+    }
+    if (!comparisonPanels[0].heap) {
+        showMessage("Build both heaps first.", true);
+        return false;
+    }
+    return true;
+}
+
+async function compareBuildHandler() {
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    const values = splitValues(document.getElementById('compareValues').value).map(parseValue).filter(v => v !== null);
+    if (values.length === 0) return showMessage("Enter comma-separated values to compare.", true);
+    if (values.length > COMPARISON_MAX_VALUES) {
+        return showMessage(`Compare at most ${COMPARISON_MAX_VALUES} values so both trees stay readable.`, true);
+    }
+    const problem = values.map(value => valueError(value)).find(error => error !== null);
+    if (problem) return showMessage(problem, true);
+
+    comparisonPanels.forEach(panel => {
+        panel.settings = panelSettings(panel);
+        panel.heap = createPanelHeap(panel.settings);
+        panel.totals = { comparisons: 0, swaps: 0 };
+    });
+    await runComparison((heap, panel) => {
+        if (panel.settings.build === 'insert') {
+            values.forEach(value => heap.insert(value));
+        } else {
+            heap.build(values);
+        }
+    });
+    showMessage(`Built both heaps from ${values.length} values.`);
+}
+
+async function compareInsertHandler() {
+    if (!comparisonReady()) return;
+    const input = document.getElementById('compareInsertValue');
+    const value = parseValue(input.value);
+    if (value === null) return showMessage("Input value cannot be empty.", true);
+    // Checked against the key type the panels were built with
+    const problem = valueError(value, comparisonPanels[0].settings.keyType);
+    if (problem) return showMessage(problem, true);
+    comparisonPanels.forEach(panel => panel.heap.restoreSorted());
+    if (comparisonPanels[0].heap.values().length >= COMPARISON_MAX_VALUES) {
+        return showMessage(`Both heaps are full (${COMPARISON_MAX_VALUES} values).`, true);
+    }
+
+    await runComparison(heap => heap.insert(value));
+    input.value = '';
+    showMessage(`Inserted ${value} into both heaps.`);
+}
+
+async function compareExtractHandler() {
+    if (!comparisonReady()) return;
+    comparisonPanels.forEach(panel => panel.heap.restoreSorted());
+    if (comparisonPanels.some(panel => panel.heap.isEmpty())) return showMessage("Heap is empty", true);
+    const [a, b] = await runComparison(heap => heap.extract());
+    showMessage(`Extracted ${a} from A and ${b} from B.`);
+}
+
+async function compareSortHandler() {
+    if (!comparisonReady()) return;
+    comparisonPanels.forEach(panel => panel.heap.restoreSorted());
+    if (comparisonPanels.some(panel => panel.heap.isEmpty())) return showMessage("Heap is empty", true);
+    await runComparison(heap => heap.sort());
+    showMessage("Heapsorted both heaps.");
+}
+
+// A changed setting (the page's key type included) takes effect on the next
+// Build; the title marks it pending
+function handleComparisonSettingChange() {
+    comparisonPanels.forEach(updatePanelStatus);
+}
+
+window.addEventListener('load', () => {
+    comparisonPanels.forEach(panel => {
+        ['Type', 'D', 'Build'].forEach(setting => {
+            document.getElementById(`compare${setting}${panel.name}`).addEventListener('change', handleComparisonSettingChange);
+        });
+        updatePanelStatus(panel);
+    });
+    document.getElementById('keyType').addEventListener('change', handleComparisonSettingChange);
+    window.addEventListener('resize', () => comparisonPanels.forEach(panel => {
+        if (panel.heap && !isBusy()) drawPanel(panel);
+    }));
+});
@@ -0,0 +1,354 @@
+//=============================================================================
+// TREE EXPORT & RECORDING
+// The tree is split between canvas edges and HTML node divs, so exports go
+// through a "scene": lines, texts and nodes in layout coordinates. Nodes are
+// read from the live divs (computed position and colors), which keeps
+// highlights and mid-flight swaps in recorded frames.
+//=============================================================================
+const MAX_PNG_SIDE = 8000;       // Larger canvases fail to encode in most browsers
+const RECORD_MAX_WIDTH = 960;    // WebM frame width cap
+const GIF_MAX_WIDTH = 640;       // GIF frames are stored uncompressed until encoding
+const GIF_FRAME_MS = 100;        // 10 frames per second
+const GIF_LAST_FRAME_DELAY = 150; // Hundredths of a second the final state stays up
+
+let recorder = null; // { format, state: 'armed' | 'recording', canvas, ... } while recording
+
+
+//=============================================================================
+// SCENE
+//=============================================================================
+// Color of a CSS border, or null when there is none to draw
+function visibleBorder(style) {
+    const width = parseFloat(style.borderTopWidth);
+    const color = style.borderTopColor;
+    if (!width || color === 'transparent' || color === 'rgba(0, 0, 0, 0)') return null;
+    return { color, width };
+}
+
+function domSceneNodes(container) {
+    return Array.from(container.querySelectorAll('.node')).map(div => {
+        const style = getComputedStyle(div);
+        const label = div.querySelector('.node-label');
+        // Stable heaps' insertion numbers take the badge corner
+        const badge = div.querySelector('.node-badge') || div.querySelector('.node-sequence');
+        return {
+            x: parseFloat(style.left) + NODE_RADIUS,
+            y: parseFloat(style.top) + NODE_RADIUS,
+            fill: style.backgroundColor,
+            border: visibleBorder(style),
+            text: div.childNodes[0] ? div.childNodes[0].textContent : '',
+            sub: label ? label.textContent : null,
+            badge: badge ? badge.textContent : null
+        };
+    });
+}
+
+// Large heaps have no divs; their nodes come from the layout instead
+function canvasSceneNodes(heapArray) {
+    const nodes = [];
+    for (let i = 1; i < heapArray.length; i++) {
+        if (!positions[i]) continue;
+        const value = heapArray[i];
+        const highlight = canvasHighlights.get(i) || (isFindMatch(value) ? 'match' : undefined);
+        nodes.push({
+            x: positions[i].x,
+            y: positions[i].y,
+            fill: highlight === 'sorted' ? CANVAS_HIGHLIGHT_COLORS.sorted : i === 1 ? '#10b981' : '#6366f1',
+            border: highlight ? { color: CANVAS_HIGHLIGHT_COLORS[highlight], width: 4 } : null,
+            text: String(keyOf(value)),
+            sub: value instanceof PriorityItem ? value.label : null,
+            badge: null
+        });
+    }
+    return nodes;
+}
+
+function arrayScene() {
+    const heapArray = renderedTree;
+    const d = currentHeap.d;
+    const lines = [];
+    const texts = [];
+    for (let i = 2; i < heapArray.length; i++) {
+        const p = parent(i, d);
+        if (!positions[i] || !positions[p]) continue;
+        const violates = !currentHeap.isOrdered(heapArray[p], heapArray[i]);
+        lines.push({
+            x1: positions[p].x, y1: positions[p].y + NODE_RADIUS,
+            x2: positions[i].x, y2: positions[i].y - NODE_RADIUS,
+            color: violates ? '#ef4444' : '#9ca3af', width: violates ? 3 : 2
+        });
+    }
+    // Collapsed levels show up as their "+N" count
+    const size = heapArray.length - 1;
+    for (let i = 1; i <= size; i++) {
+        const child = first_child(i, d);
+        if (!positions[i] || child > size || positions[child]) continue;
+        texts.push({ x: positions[i].x, y: positions[i].y + NODE_RADIUS + 16, text: `+${subtreeSize(i, size, d) - 1}`, color: '#4b5563', size: 11 });
+    }
+
+    return {
+        width: treeViewport.worldWidth,
+        height: treeViewport.worldHeight + 20,
+        lines,
+        texts,
+        nodes: usesCanvasNodes(heapArray) ? canvasSceneNodes(heapArray) : domSceneNodes(nodeContainer)
+    };
+}
+
+function forestScene() {
+    const state = player.view === forestView ? player.snapshot() : currentHeap.snapshot();
+    const lines = [];
+    const texts = [];
+
+    const ownRoots = state.roots.filter(root => !root.secondary);
+    if (ownRoots.length > 1) {
+        const first = forestPositions.get(ownRoots[0].id);
+        const last = forestPositions.get(ownRoots[ownRoots.length - 1].id);
+        lines.push({ x1: first.x, y1: first.y, x2: last.x, y2: last.y, color: '#d1d5db', width: 2, dash: [6, 4] });
+    }
+    const addEdges = (node) => {
+        const from = forestPositions.get(node.id);
+        node.children.filter(Boolean).forEach(child => {
+            const to = forestPositions.get(child.id);
+            lines.push({ x1: from.x, y1: from.y + NODE_RADIUS, x2: to.x, y2: to.y - NODE_RADIUS, color: '#9ca3af', width: 2 });
+            addEdges(child);
+        });
+    };
+    state.roots.forEach(addEdges);
+    state.roots.forEach(root => {
+        const pos = forestPositions.get(root.id);
+        texts.push({ x: pos.x, y: pos.y - NODE_RADIUS - 6, text: root.label, color: '#6b7280', size: 12, weight: 600 });
+        if (root.id === state.minId) {
+            texts.push({ x: pos.x, y: pos.y - NODE_RADIUS - 22, text: 'min ↓', color: '#059669', size: 12, weight: 600 });
+        }
+    });
+
+    return { width: forestCanvas.width, height: forestCanvas.height, lines, texts, nodes: domSceneNodes(forestNodeContainer) };
+}
+
+function currentScene() {
+    return currentHeap instanceof BaseHeap ? arrayScene() : forestScene();
+}
+
+
+//=============================================================================
+// SCENE OUTPUT
+// The same scene becomes SVG markup or is painted onto a canvas (PNG export
+// and recording frames).
+//=============================================================================
+const escapeXml = (text) => String(text).replace(/[&<>"]/g, char =>
+    ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+function sceneToSvg(scene) {
+    const { width, height } = scene;
+    const parts = [
+        `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Inter, sans-serif">`,
+        '<rect width="100%" height="100%" fill="white"/>'
+    ];
+    scene.lines.forEach(line => {
+        const dash = line.dash ? ` stroke-dasharray="${line.dash.join(' ')}"` : '';
+        parts.push(`<line x1="${line.x1}" y1="${line.y1}" x2="${line.x2}" y2="${line.y2}" stroke="${line.color}" stroke-width="${line.width}"${dash}/>`);
+    });
+    scene.texts.forEach(text => {
+        parts.push(`<text x="${text.x}" y="${text.y}" text-anchor="middle" font-size="${text.size}" font-weight="${text.weight || 400}" fill="${text.color}">${escapeXml(text.text)}</text>`);
+    });
+    scene.nodes.forEach(node => {
+        const border = node.border ? ` stroke="${node.border.color}" stroke-width="${node.border.width}"` : '';
+        parts.push(`<circle cx="${node.x}" cy="${node.y}" r="${NODE_RADIUS}" fill="${node.fill}"${border}/>`);
+        const textY = node.sub ? node.y - 4 : node.y;
+        parts.push(`<text x="${node.x}" y="${textY}" text-anchor="middle" dominant-baseline="central" font-size="14" font-weight="700" fill="white">${escapeXml(node.text)}</text>`);
+        if (node.sub) {
+            parts.push(`<text x="${node.x}" y="${node.y + 10}" text-anchor="middle" dominant-baseline="central" font-size="8" fill="white">${escapeXml(node.sub)}</text>`);
+        }
+        if (node.badge) {
+            parts.push(`<text x="${node.x + NODE_RADIUS + 4}" y="${node.y - NODE_RADIUS + 4}" font-size="10" fill="#374151">${escapeXml(node.badge)}</text>`);
+        }
+    });
+    parts.push('</svg>');
+    return parts.join('\n');
+}
+
+function paintScene(context, scene, scale) {
+    context.setTransform(1, 0, 0, 1, 0, 0);
+    context.fillStyle = 'white';
+    context.fillRect(0, 0, context.canvas.width, context.canvas.height);
+    context.setTransform(scale, 0, 0, scale, 0, 0);
+
+    scene.lines.forEach(line => {
+        context.strokeStyle = line.color;
+        context.lineWidth = line.width;
+        context.setLineDash(line.dash || []);
+        context.beginPath();
+        context.moveTo(line.x1, line.y1);
+        context.lineTo(line.x2, line.y2);
+        context.stroke();
+    });
+    context.setLineDash([]);
+
+    context.textAlign = 'center';
+    scene.texts.forEach(text => {
+        context.fillStyle = text.color;
+        context.font = `${text.weight || 400} ${text.size}px Inter, sans-serif`;
+        context.fillText(text.text, text.x, text.y);
+    });
+
+    context.textBaseline = 'middle';
+    scene.nodes.forEach(node => {
+        context.fillStyle = node.fill;
+        context.beginPath();
+        context.arc(node.x, node.y, NODE_RADIUS, 0, Math.PI * 2);
+        context.fill();
+        if (node.border) {
+            context.strokeStyle = node.border.color;
+            context.lineWidth = node.border.width;
+            context.stroke();
+        }
+        context.fillStyle = 'white';
+        context.textAlign = 'center';
+        context.font = '700 14px Inter, sans-serif';
+        context.fillText(node.text, node.x, node.sub ? node.y - 4 : node.y, NODE_RADIUS * 2 - 4);
+        if (node.sub) {
+            context.font = '500 8px Inter, sans-serif';
+            context.fillText(node.sub, node.x, node.y + 10, NODE_RADIUS * 2 - 4);
+        }
+        if (node.badge) {
+            context.fillStyle = '#374151';
+            context.textAlign = 'left';
+            context.font = '10px Inter, sans-serif';
+            context.fillText(node.badge, node.x + NODE_RADIUS + 4, node.y - NODE_RADIUS + 4);
+        }
+    });
+    context.textBaseline = 'alphabetic';
+}
+
+
+//=============================================================================
+// RECORDING
+// Record arms the recorder; the next operation that plays is captured frame
+// by frame on an offscreen canvas until the player stops. WebM comes from
+// MediaRecorder, GIF frames are encoded by gif-encoder.js.
+//=============================================================================
+function startRecording() {
+    const scene = currentScene();
+    const maxWidth = recorder.format === 'gif' ? GIF_MAX_WIDTH : RECORD_MAX_WIDTH;
+    const scale = Math.min(1, maxWidth / scene.width);
+    recorder.canvas = document.createElement('canvas');
+    // Even sizes keep video encoders happy
+    recorder.canvas.width = Math.max(2, Math.round(scene.width * scale / 2) * 2);
+    recorder.canvas.height = Math.max(2, Math.round(scene.height * scale / 2) * 2);
+    recorder.context = recorder.canvas.getContext('2d');
+    recorder.state = 'recording';
+    recorder.frames = [];
+    recorder.lastFrameTime = -Infinity;
+
+    if (recorder.format === 'webm') {
+        recorder.chunks = [];
+        recorder.mediaRecorder = new MediaRecorder(recorder.canvas.captureStream(30), { mimeType: 'video/webm' });
+        recorder.mediaRecorder.ondataavailable = event => recorder.chunks.push(event.data);
+        captureFrame(0);
+        recorder.mediaRecorder.start();
+    }
+    updateRecordButton();
+}
+
+// Paints the current scene, scaled to fit the recording size chosen at the start
+function captureFrame(time) {
+    const scene = currentScene();
+    const { canvas: frame, context } = recorder;
+    paintScene(context, scene, Math.min(frame.width / scene.width, frame.height / scene.height));
+
+    if (recorder.format === 'gif' && time - recorder.lastFrameTime >= GIF_FRAME_MS) {
+        const pixels = context.getImageData(0, 0, frame.width, frame.height).data;
+        recorder.frames.push({ indices: quantizeFrame(pixels), delay: GIF_FRAME_MS / 10 });
+        recorder.lastFrameTime = time;
+    }
+}
+
+function finishRecording() {
+    const { format, canvas: frame, mediaRecorder, chunks, frames } = recorder;
+    recorder = null;
+    updateRecordButton();
+
+    if (format === 'webm') {
+        mediaRecorder.onstop = () => {
+            downloadBlob(new Blob(chunks, { type: 'video/webm' }), 'heap-animation.webm');
+            showMessage('Recording saved as WebM.');
+        };
+        mediaRecorder.stop();
+        return;
+    }
+
+    frames[frames.length - 1].delay = GIF_LAST_FRAME_DELAY;
+    showMessage(`Encoding ${frames.length} GIF frames...`);
+    // Let the message paint before the synchronous encoding starts
+    setTimeout(() => {
+        const gif = encodeGif(frames, frame.width, frame.height);
+        downloadBlob(new Blob([gif], { type: 'image/gif' }), 'heap-animation.gif');
+        showMessage(`Recording saved as GIF (${frames.length} frames).`);
+    }, 50);
+}
+
+function recordingTick(time) {
+    if (!recorder) return;
+    if (recorder.state === 'armed' && player.active) startRecording();
+    if (recorder.state === 'recording') {
+        captureFrame(time);
+        if (!player.active) return finishRecording();
+    }
+    requestAnimationFrame(recordingTick);
+}
+
+function updateRecordButton() {
+    const button = document.getElementById('recordBtn');
+    const labels = { armed: '⏺ Waiting for operation…', recording: '⏹ Recording…' };
+    button.textContent = recorder ? labels[recorder.state] : '⏺ Record';
+    button.classList.toggle('bg-red-100', recorder !== null);
+}
+
+
+//=============================================================================
+// EXPORT EVENT HANDLERS
+//=============================================================================
+function exportFileName(extension) {
+    return `${currentHeapType.toLowerCase()}-tree.${extension}`;
+}
+
+function exportSvgHandler() {
+    const scene = currentScene();
+    if (scene.nodes.length === 0) return showMessage("The heap is empty. Nothing to export.", true);
+    downloadBlob(new Blob([sceneToSvg(scene)], { type: 'image/svg+xml' }), exportFileName('svg'));
+}
+
+function exportPngHandler() {
+    const scene = currentScene();
+    if (scene.nodes.length === 0) return showMessage("The heap is empty. Nothing to export.", true);
+
+    // Twice the resolution for slides, unless the tree is too large for that
+    const scale = Math.min(2, MAX_PNG_SIDE / scene.width, MAX_PNG_SIDE / scene.height);
+    const image = document.createElement('canvas');
+    image.width = Math.ceil(scene.width * scale);
+    image.height = Math.ceil(scene.height * scale);
+    paintScene(image.getContext('2d'), scene, scale);
+    image.toBlob(blob => downloadBlob(blob, exportFileName('png')), 'image/png');
+}
+
+function recordHandler() {
+    if (recorder) {
+        if (recorder.mediaRecorder) recorder.mediaRecorder.stop();
+        recorder = null;
+        updateRecordButton();
+        return showMessage("Recording cancelled.");
+    }
+
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    const format = document.getElementById('recordFormat').value;
+    if (format === 'webm' && !(window.MediaRecorder && HTMLCanvasElement.prototype.captureStream)) {
+        return showMessage("This browser cannot record WebM. Choose GIF instead.", true);
+    }
+    if (instantMode) return showMessage("Turn off Instant mode to record an animation.", true);
+
+    recorder = { format, state: 'armed' };
+    updateRecordButton();
+    showMessage("Recording starts with the next operation.");
+    requestAnimationFrame(recordingTick);
+}
@@ -0,0 +1,69 @@
+//=============================================================================
+// FIND VALUES
+// Marks every entry whose key equals the searched one under the current key
+// type, in the tree and in the array line. A bare key ("5") matches all
+// priority items with that priority; "5:taskA" only matches that exact item.
+// The marks follow the values through later operations until Clear.
+//=============================================================================
+const MAX_LISTED_MATCHES = 20;
+
+let findQuery = null; // Parsed value being searched for, or null
+
+// Called by the renderers for every value they draw
+function isFindMatch(value) {
+    if (findQuery === null || value === null || value === undefined) return false;
+    if (findQuery instanceof PriorityItem) return String(value) === String(findQuery);
+    return compareValues(value, findQuery, keyType) === 0;
+}
+
+// Indices of the matches in the state on screen, sorted tail included
+function findMatchIndices() {
+    const { heap } = player.view === arrayView ? player.snapshot() : captureState(currentHeap);
+    const indices = [];
+    for (let i = 1; i < heap.length; i++) {
+        if (isFindMatch(heap[i])) indices.push(i);
+    }
+    return indices;
+}
+
+function describeMatches(indices) {
+    const listed = indices.slice(0, MAX_LISTED_MATCHES).join(', ');
+    const more = indices.length > MAX_LISTED_MATCHES ? `, … ${indices.length - MAX_LISTED_MATCHES} more` : '';
+    const noun = indices.length === 1 ? 'occurrence' : 'occurrences';
+    return `${indices.length} ${noun} of ${findQuery} at ${indices.length === 1 ? 'index' : 'indices'} ${listed}${more}.`;
+}
+
+
+//=============================================================================
+// FIND EVENT HANDLERS
+//=============================================================================
+function findValueHandler() {
+    if (!requireArrayHeap('Find')) return;
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    const query = parseValue(document.getElementById('findValue').value);
+    if (query === null) return showMessage("Enter a value to find.", true);
+    const problem = valueError(query);
+    if (problem) return showMessage(problem, true);
+
+    findQuery = query;
+    player.view.render(player.snapshot());
+    const indices = findMatchIndices();
+    const summary = indices.length > 0 ? describeMatches(indices) : `No ${findQuery} in the heap.`;
+    document.getElementById('findStatus').textContent = summary;
+    showMessage(summary, indices.length === 0);
+}
+
+function clearFindHandler() {
+    if (findQuery === null) return;
+    findQuery = null;
+    document.getElementById('findValue').value = '';
+    document.getElementById('findStatus').textContent = '';
+    if (!player.busy) player.view.render(player.snapshot());
+}
+
+window.addEventListener('load', () => {
+    document.getElementById('findValue').addEventListener('keydown', event => {
+        if (event.key === 'Enter') findValueHandler();
+        if (event.key === 'Escape') clearFindHandler();
+    });
+});
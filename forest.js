@@ -0,0 +1,402 @@
+//=============================================================================
+// FOREST VIEW (BINOMIAL / FIBONACCI / LEFTIST / SKEW HEAPS)
+// Draws the mergeable heaps from mergeable-heap.js as a root list of trees,
+// with heap B (the second heap workspace) to the right. Node divs are keyed
+// by node id rather than array index, so links, cuts, merges and child swaps
+// animate by letting each node fly to its new place in the layout.
+//=============================================================================
+const forestCanvas = document.getElementById('forestCanvas');
+const forestCtx = forestCanvas.getContext('2d');
+const forestNodeContainer = document.getElementById('forestNodesContainer');
+const forestContainer = document.getElementById('forestContainer');
+
+const FOREST_TOP = 70;         // Leaves room for the root labels and min pointer
+const FOREST_TREE_GAP = 30;    // Extra space between neighbouring trees
+let forestPositions = new Map(); // Node id -> { x, y } of the last render
+
+
+//=============================================================================
+// FOREST LAYOUT
+// Leaves take consecutive slots from left to right and every parent is
+// centered over its children, so trees of any shape fit side by side.
+// Binary trees (leftist / skew) use an in-order layout instead: each node
+// gets its own column, so a lone right child still sits to the right.
+//=============================================================================
+function calculateForestPositions(state) {
+    const layout = new Map();
+    let nextX = MIN_NODE_SPACING / 2 + FOREST_TREE_GAP;
+
+    function placeInOrder(node, level) {
+        if (!node) return;
+        const [left, right] = node.children;
+        placeInOrder(left, level + 1);
+        layout.set(node.id, { x: nextX, y: FOREST_TOP + level * LEVEL_HEIGHT });
+        nextX += MIN_NODE_SPACING;
+        placeInOrder(right, level + 1);
+    }
+
+    function place(node, level) {
+        const y = FOREST_TOP + level * LEVEL_HEIGHT;
+        if (node.children.length === 0) {
+            layout.set(node.id, { x: nextX, y });
+            nextX += MIN_NODE_SPACING;
+            return;
+        }
+
+        node.children.forEach(child => place(child, level + 1));
+        const first = layout.get(node.children[0].id);
+        const last = layout.get(node.children[node.children.length - 1].id);
+        layout.set(node.id, { x: (first.x + last.x) / 2, y });
+    }
+
+    state.roots.forEach(root => {
+        if (state.binary) {
+            placeInOrder(root, 0);
+        } else {
+            place(root, 0);
+        }
+        nextX += FOREST_TREE_GAP;
+    });
+
+    return { layout, width: nextX };
+}
+
+// Looks a node up by id in a recorded forest state
+function findForestNode(state, id) {
+    const stack = [...state.roots];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (node.id === id) return node;
+        stack.push(...node.children.filter(Boolean));
+    }
+    return null;
+}
+
+function forestDepth(node) {
+    return node ? 1 + Math.max(0, ...node.children.map(forestDepth)) : 0;
+}
+
+
+//=============================================================================
+// FOREST RENDERING
+//=============================================================================
+function drawForestEdges(state) {
+    forestCtx.clearRect(0, 0, forestCanvas.width, forestCanvas.height);
+
+    // Root list: a dashed line through the roots of this heap (not heap B)
+    const ownRoots = state.roots.filter(root => !root.secondary);
+    if (ownRoots.length > 1) {
+        const first = forestPositions.get(ownRoots[0].id);
+        const last = forestPositions.get(ownRoots[ownRoots.length - 1].id);
+        forestCtx.strokeStyle = '#d1d5db';
+        forestCtx.lineWidth = 2;
+        forestCtx.setLineDash([6, 4]);
+        forestCtx.beginPath();
+        forestCtx.moveTo(first.x, first.y);
+        forestCtx.lineTo(last.x, last.y);
+        forestCtx.stroke();
+        forestCtx.setLineDash([]);
+    }
+
+    forestCtx.strokeStyle = '#9ca3af';
+    forestCtx.lineWidth = 2;
+    const drawChildren = (node) => {
+        const from = forestPositions.get(node.id);
+        node.children.filter(Boolean).forEach(child => {
+            const to = forestPositions.get(child.id);
+            forestCtx.beginPath();
+            forestCtx.moveTo(from.x, from.y + NODE_RADIUS);
+            forestCtx.lineTo(to.x, to.y - NODE_RADIUS);
+            forestCtx.stroke();
+            drawChildren(child);
+        });
+    };
+    state.roots.forEach(drawChildren);
+
+    // Tree labels (B_k or degree) above the roots, plus the min pointer
+    forestCtx.textAlign = 'center';
+    forestCtx.font = '600 12px Inter, sans-serif';
+    state.roots.forEach(root => {
+        const pos = forestPositions.get(root.id);
+        forestCtx.fillStyle = '#6b7280';
+        forestCtx.fillText(root.label, pos.x, pos.y - NODE_RADIUS - 6);
+        if (root.id === state.minId) {
+            forestCtx.fillStyle = '#059669';
+            forestCtx.fillText('min ↓', pos.x, pos.y - NODE_RADIUS - 22);
+        }
+    });
+}
+
+function renderForestNodes(state) {
+    const existingNodeIds = new Set();
+    forestNodeLinks.clear();
+
+    const renderNode = (node, parentNode, siblings, level) => {
+        const pos = forestPositions.get(node.id);
+        const nodeId = `forest-node-${node.id}`;
+        let nodeDiv = document.getElementById(nodeId);
+        if (!nodeDiv) {
+            nodeDiv = document.createElement('div');
+            nodeDiv.id = nodeId;
+            // New nodes appear in place instead of flying in from the corner
+            nodeDiv.style.left = `${pos.x - NODE_RADIUS}px`;
+            nodeDiv.style.top = `${pos.y - NODE_RADIUS}px`;
+            forestNodeContainer.appendChild(nodeDiv);
+        }
+
+        // Resetting the classes also clears the highlights of the previous step
+        nodeDiv.className = 'node';
+        setNodeContent(nodeDiv, node.value);
+        if (node.badge) {
+            const badge = document.createElement('span');
+            badge.className = 'node-badge';
+            badge.textContent = node.badge;
+            nodeDiv.appendChild(badge);
+        }
+        nodeDiv.classList.toggle('node-highlight-root', node.id === state.minId);
+        nodeDiv.classList.toggle('node-marked', node.mark);
+        nodeDiv.classList.toggle('node-secondary', secondary);
+        nodeDiv.style.left = `${pos.x - NODE_RADIUS}px`;
+        nodeDiv.style.top = `${pos.y - NODE_RADIUS}px`;
+        const degree = node.children.filter(Boolean).length;
+        nodeDiv.title = `Node #${node.id}, degree ${degree}${node.mark ? ', marked' : ''}${secondary ? ' (heap B)' : ''}`;
+        labelForestNode(nodeDiv, node, parentNode, siblings, level, secondary);
+
+        existingNodeIds.add(nodeId);
+        const children = node.children.filter(Boolean);
+        children.forEach(child => renderNode(child, node, children, level + 1));
+    };
+    let secondary = false;
+    state.roots.forEach(root => {
+        secondary = Boolean(root.secondary);
+        renderNode(root, null, state.roots, 1);
+    });
+
+    Array.from(forestNodeContainer.children).forEach(node => {
+        if (!existingNodeIds.has(node.id)) node.remove();
+    });
+    ensureFocusableNode(forestNodeContainer);
+}
+
+// The Heap State card lists the root list instead of an array
+function updateRootListDisplay(state) {
+    const list = (roots) => roots.map(root => `${root.value} (${root.label})`).join(' → ');
+    const own = state.roots.filter(root => !root.secondary);
+    const second = state.roots.filter(root => root.secondary);
+    document.getElementById('heapArrayDisplay').textContent =
+        (own.length > 0 ? `Roots: ${list(own)}` : 'Roots: (empty)') +
+        (second.length > 0 ? ` · Heap B: ${list(second)}` : '');
+}
+
+// Draws a recorded forest state ({ roots, minId }), e.g. a trace step
+function renderForest(state) {
+    const { layout, width } = calculateForestPositions(state);
+    forestPositions = layout;
+
+    const depth = Math.max(1, ...state.roots.map(forestDepth));
+    const neededWidth = Math.max(forestContainer.offsetWidth, width);
+    forestCanvas.width = neededWidth;
+    forestCanvas.height = Math.max(400, FOREST_TOP + depth * LEVEL_HEIGHT);
+    forestCanvas.style.width = `${neededWidth}px`;
+    forestNodeContainer.style.width = `${neededWidth}px`;
+
+    drawForestEdges(state);
+    renderForestNodes(state);
+    updateRootListDisplay(state);
+}
+
+
+//=============================================================================
+// FOREST STEP ANIMATION
+// The player calls these through forestView, just like the array functions
+// in script.js.
+//=============================================================================
+function forestNodeLabel(state, id) {
+    const node = findForestNode(state, id);
+    return `${node ? node.value : '?'} (#${id})`;
+}
+
+function describeForestStep(step) {
+    const at = (id) => forestNodeLabel(step, id);
+    switch (step.type) {
+        case 'compare': {
+            const sign = step.result > 0 ? '>' : step.result < 0 ? '<' : '=';
+            return `Compare ${at(step.i)} ${sign} ${at(step.j)}`;
+        }
+        case 'insert': return `Add ${at(step.i)} to the root list`;
+        case 'link':
+            // Leftist / skew merge: k is the right subtree that now waits to be merged
+            if (step.k) return `${at(step.j)} takes the right slot of ${at(step.i)}; ${at(step.k)} waits`;
+            return `Link ${at(step.j)} below ${at(step.i)}`;
+        case 'remove': return `Remove the minimum ${step.value}; its children join the root list`;
+        case 'second': return `Build heap B from ${step.ids.length} values`;
+        case 'meld': return `Heap B (${step.ids.length} nodes) joins the root list`;
+        case 'descend': return `Follow the right spine to ${at(step.i)}`;
+        case 'swapChildren':
+            return step.npl === undefined
+                ? `Swap the children of ${at(step.i)}`
+                : `Swap the children of ${at(step.i)} (right npl was larger); npl = ${step.npl}`;
+        case 'npl': return `Keep the children of ${at(step.i)}; npl = ${step.npl}`;
+        case 'consolidate': return 'Consolidate: link roots of equal degree';
+        case 'cut': return `Cut ${at(step.i)} from ${at(step.j)} into the root list`;
+        case 'mark': return `Mark ${at(step.i)}: it lost a child`;
+        case 'min': return `Min pointer moves to ${at(step.i)}`;
+        case 'update': return `Decrease ${step.previous} to ${at(step.i)}`;
+        // The snapshot is taken after the swap, so i already holds the decreased key
+        case 'swap': return `Swap ${at(step.i)} above ${at(step.j)}`;
+        case 'load': return 'Start from an empty heap';
+        default: return step.type;
+    }
+}
+
+function highlightForestNode(id, type) {
+    const nodeDiv = document.getElementById(`forest-node-${id}`);
+    if (nodeDiv) nodeDiv.classList.add(`node-highlight-${type}`);
+}
+
+function highlightForestComparison(step) {
+    highlightForestNode(step.i, 'compare');
+    highlightForestNode(step.j, 'compare');
+
+    const posI = forestPositions.get(step.i);
+    const posJ = forestPositions.get(step.j);
+    if (!posI || !posJ) return;
+
+    const sign = step.result > 0 ? '>' : step.result < 0 ? '<' : '=';
+    const valueI = findForestNode(step, step.i).value;
+    const valueJ = findForestNode(step, step.j).value;
+    showCompareBadge(forestNodeContainer, posI, posJ, `${valueI} ${sign} ${valueJ}`);
+}
+
+// Applies the highlight of a step without animating it (used when jumping back)
+function highlightForestStep(step) {
+    switch (step.type) {
+        case 'compare':
+            highlightForestComparison(step);
+            break;
+        case 'link':
+        case 'cut':
+        case 'swap':
+            highlightForestNode(step.i, 'swap');
+            highlightForestNode(step.j, 'swap');
+            break;
+        case 'insert':
+        case 'update':
+        case 'mark':
+        case 'min':
+        case 'descend':
+        case 'npl':
+            highlightForestNode(step.i, 'insert');
+            break;
+        case 'swapChildren':
+            highlightForestNode(step.i, 'swap');
+            break;
+        case 'second':
+        case 'meld':
+            step.ids.forEach(id => highlightForestNode(id, 'insert'));
+            break;
+    }
+}
+
+async function animateForestStep(step) {
+    switch (step.type) {
+        case 'compare':
+            highlightForestComparison(step);
+            await animationSleep(ANIMATION_DELAY);
+            removeCompareBadge();
+            break;
+        case 'remove':
+            // Still drawn at its old place; the next render drops it
+            highlightForestNode(step.i, 'extract');
+            await animationSleep(ANIMATION_DELAY * 2);
+            break;
+        case 'consolidate':
+        case 'load':
+            await animationSleep(ANIMATION_DELAY);
+            break;
+        default:
+            // Nodes fly to their new places while the moved ones stay highlighted
+            renderForest(step);
+            highlightForestStep(step);
+            await animationSleep(['meld', 'second'].includes(step.type) ? ANIMATION_DELAY * 2 : ANIMATION_DELAY);
+    }
+    renderForest(step);
+}
+
+const forestView = {
+    capture: heap => heap.snapshot(),
+    render: renderForest,
+    animate: animateForestStep,
+    highlight: highlightForestStep,
+    describe: describeForestStep,
+    nodeLabel: forestNodeLabel
+};
+
+
+//=============================================================================
+// FOREST EVENT HANDLERS
+// Heap B, meld and decrease-key; insert, extract and load are shared with the
+// array heaps in script.js.
+//=============================================================================
+
+// Finds a node by "#id" or by its value (the first match in root-list order)
+function findForestNodeByInput(text) {
+    if (text.startsWith('#')) return currentHeap.findNode(parseInt(text.slice(1)));
+    return currentHeap.nodes().find(node =>
+        String(node.value) === text || String(keyOf(node.value)) === text) || null;
+}
+
+async function decreaseKeyHandler() {
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    if (!requireForestHeap("Decrease-key")) return;
+    const nodeInput = document.getElementById('decreaseNode');
+    const keyInput = document.getElementById('decreaseValue');
+    const target = normalizeValue(nodeInput.value);
+    const priority = normalizeValue(keyInput.value);
+
+    if (BINARY_TREE_HEAP_TYPES.includes(currentHeapType)) {
+        return showMessage("Decrease-key is available for Binomial and Fibonacci heaps.", true);
+    }
+    if (target === null) return showMessage("Enter the node's value or #id.", true);
+    const node = findForestNodeByInput(target);
+    if (!node) return showMessage(`No node ${target} in the heap.`, true);
+    if (priority === null) return showMessage("New key cannot be empty.", true);
+    const problem = valueError(priority);
+    if (problem) return showMessage(problem, true);
+    if (compareValues(priority, node.value, keyType) > 0) {
+        return showMessage(`Decrease-key only lowers a key: ${priority} > ${keyOf(node.value)}.`, true);
+    }
+
+    const result = await runOperation(currentHeap, heap => heap.decreaseKey(node.id, priority),
+        `Decrease-key ${node.value} → ${priority}`);
+    if (result.success) showMessage(`Decrease-key: ${result.value} now has key ${priority}.`);
+    keyInput.value = '';
+}
+
+async function buildSecondHandler() {
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    if (!requireForestHeap("Heap B")) return;
+    const values = splitValues(document.getElementById('secondValues').value).map(parseValue).filter(v => v !== null);
+
+    if (values.length === 0) return showMessage("Enter comma-separated values for heap B.", true);
+    const problem = values.map(value => valueError(value)).find(error => error !== null);
+    if (problem) return showMessage(problem, true);
+
+    await runOperation(currentHeap, heap => heap.buildSecond(values), `Build heap B from [${values.join(', ')}]`);
+    showMessage(`Heap B holds ${values.length} values. Press ${meldVerb()} to combine it with heap A.`);
+}
+
+async function meldSecondHandler() {
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    if (!requireForestHeap(`${meldVerb()} B into A`)) return;
+    if (currentHeap.second === null) return showMessage("Build heap B first.", true);
+
+    const size = currentHeap.second.values().length;
+    await runOperation(currentHeap, heap => heap.meldSecond(), `${meldVerb()} heap B (${size} values) into A`);
+    showMessage(`Heap B (${size} values) is now part of the ${currentHeapType}.`);
+}
+
+// Leftist and skew heaps call the operation merge, the others meld
+function meldVerb() {
+    return BINARY_TREE_HEAP_TYPES.includes(currentHeapType) ? 'Merge' : 'Meld';
+}
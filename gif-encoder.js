@@ -0,0 +1,132 @@
+//=============================================================================
+// GIF ENCODER
+// Minimal animated GIF89a writer for the recorder in export.js. Frames are
+// RGBA pixels that get mapped onto a fixed 6x6x6 color cube, so no palette
+// search is needed, then LZW-compressed. Loads headless in Node as well.
+//=============================================================================
+const GIF_PALETTE_SIZE = 256;
+const GIF_CUBE_STEP = 51; // 0, 51, ..., 255 per channel
+
+// RGBA bytes -> palette indices of the color cube
+function quantizeFrame(rgba) {
+    const indices = new Uint8Array(rgba.length / 4);
+    for (let p = 0, i = 0; p < rgba.length; p += 4, i++) {
+        const r = Math.round(rgba[p] / GIF_CUBE_STEP);
+        const g = Math.round(rgba[p + 1] / GIF_CUBE_STEP);
+        const b = Math.round(rgba[p + 2] / GIF_CUBE_STEP);
+        indices[i] = r * 36 + g * 6 + b;
+    }
+    return indices;
+}
+
+function colorCubePalette() {
+    const palette = new Uint8Array(GIF_PALETTE_SIZE * 3);
+    for (let i = 0; i < 216; i++) {
+        palette[i * 3] = Math.floor(i / 36) * GIF_CUBE_STEP;
+        palette[i * 3 + 1] = (Math.floor(i / 6) % 6) * GIF_CUBE_STEP;
+        palette[i * 3 + 2] = (i % 6) * GIF_CUBE_STEP;
+    }
+    return palette;
+}
+
+/**
+ * Variable-width LZW as the GIF format wants it: starts with a clear code,
+ * grows the code size up to 12 bits and resets the table when it is full.
+ */
+function lzwEncode(indices, minCodeSize = 8) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const bytes = [];
+    let nextCode = endCode + 1;
+    let codeSize = minCodeSize + 1;
+    let table = new Map();
+    let buffer = 0;
+    let bufferBits = 0;
+
+    const emit = (code) => {
+        buffer |= code << bufferBits;
+        bufferBits += codeSize;
+        while (bufferBits >= 8) {
+            bytes.push(buffer & 0xff);
+            buffer >>>= 8;
+            bufferBits -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = (prefix << 8) | indices[i];
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            nextCode = endCode + 1;
+            codeSize = minCodeSize + 1;
+            table = new Map();
+        } else {
+            if (nextCode >= (1 << codeSize)) codeSize++;
+            table.set(key, nextCode++);
+        }
+        prefix = indices[i];
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bufferBits > 0) bytes.push(buffer & 0xff);
+    return bytes;
+}
+
+/**
+ * Builds a looping animated GIF.
+ * @param {Array<{indices: Uint8Array, delay: number}>} frames Palette indices
+ *   per pixel and the display time in hundredths of a second.
+ * @returns {Uint8Array} The GIF file.
+ */
+function encodeGif(frames, width, height) {
+    const out = [];
+    const word = (value) => out.push(value & 0xff, (value >> 8) & 0xff);
+    const text = (value) => { for (const char of value) out.push(char.charCodeAt(0)); };
+
+    text('GIF89a');
+    word(width);
+    word(height);
+    out.push(0xf7, 0, 0); // Global 256-color table, background 0, square pixels
+    out.push(...colorCubePalette());
+
+    // Loop forever (NETSCAPE2.0 application extension)
+    out.push(0x21, 0xff, 0x0b);
+    text('NETSCAPE2.0');
+    out.push(0x03, 0x01, 0, 0, 0);
+
+    frames.forEach(({ indices, delay }) => {
+        out.push(0x21, 0xf9, 0x04, 0);
+        word(delay);
+        out.push(0, 0);
+
+        out.push(0x2c);
+        word(0);
+        word(0);
+        word(width);
+        word(height);
+        out.push(0, 8); // No local color table; LZW minimum code size
+
+        const data = lzwEncode(indices);
+        for (let start = 0; start < data.length; start += 255) {
+            const block = data.slice(start, start + 255);
+            out.push(block.length, ...block);
+        }
+        out.push(0);
+    });
+
+    out.push(0x3b);
+    return Uint8Array.from(out);
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { quantizeFrame, lzwEncode, encodeGif };
+}
@@ -0,0 +1,343 @@
+//=============================================================================
+// GRAPH ALGORITHMS DEMO
+// Dijkstra and Prim on a small weighted, undirected graph. Both algorithms
+// use the visualized MinHeap ("priority:vertex" items with lazy deletion), so
+// every insert and extract animates in the tree while the graph panel shows
+// the settled vertices and the growing shortest-path / spanning tree.
+//=============================================================================
+const GRAPH_VERTEX_RADIUS = 18;
+const GRAPH_HEIGHT = 320;
+const MAX_VERTEX_NAME = 8; // Vertex names become node labels in the heap
+
+const graphCanvas = document.getElementById('graphCanvas');
+const graphCtx = graphCanvas.getContext('2d');
+
+let graph = null;            // WeightedGraph shown in the panel
+let graphState = null;       // Highlight state while (or after) an algorithm runs
+let pendingEdgeStart = null; // First vertex clicked when drawing an edge
+
+
+//=============================================================================
+// GRAPH MODEL
+// Vertices keep their canvas position; edges are undirected.
+//=============================================================================
+class WeightedGraph {
+    constructor() {
+        this.vertices = new Map(); // name -> { x, y }
+        this.edges = [];           // { u, v, weight }
+    }
+
+    addVertex(name, x, y) {
+        if (!this.vertices.has(name)) this.vertices.set(name, { x, y });
+    }
+
+    // Adding an edge between already connected vertices replaces its weight
+    addEdge(u, v, weight) {
+        this.edges = this.edges.filter(e => !((e.u === u && e.v === v) || (e.u === v && e.v === u)));
+        this.edges.push({ u, v, weight });
+    }
+
+    neighbors(name) {
+        return this.edges
+            .filter(e => e.u === name || e.v === name)
+            .map(edge => ({ vertex: edge.u === name ? edge.v : edge.u, weight: edge.weight, edge }));
+    }
+
+    vertexAt(x, y) {
+        for (const [name, pos] of this.vertices) {
+            if (Math.hypot(pos.x - x, pos.y - y) <= GRAPH_VERTEX_RADIUS) return name;
+        }
+        return null;
+    }
+
+    toText() {
+        return this.edges.map(e => `${e.u}-${e.v}:${e.weight}`).join(', ');
+    }
+}
+
+/**
+ * Parses an edge list such as "A-B:4, B-C:2" and lays the vertices out on a circle.
+ * @returns {{graph: WeightedGraph|null, error: string|null}}
+ */
+function parseGraph(text) {
+    const parts = text.split(',').map(part => part.trim()).filter(part => part !== '');
+    if (parts.length === 0) return { graph: null, error: "Enter edges like A-B:4, B-C:2." };
+
+    const edges = [];
+    for (const part of parts) {
+        if (/:\s*\d*\.\d/.test(part)) return { graph: null, error: `Edge "${part}": weights must be whole numbers.` };
+        const match = part.match(/^([^\s,:-]+)\s*-\s*([^\s,:-]+)\s*:\s*(\d+)$/);
+        if (!match) return { graph: null, error: `Invalid edge "${part}". Use the form A-B:4.` };
+
+        const [, u, v, weight] = match;
+        if (u === v) return { graph: null, error: `Self-loop "${part}" is not allowed.` };
+        if (u.length > MAX_VERTEX_NAME || v.length > MAX_VERTEX_NAME) {
+            return { graph: null, error: `Vertex names can have at most ${MAX_VERTEX_NAME} characters.` };
+        }
+        edges.push({ u, v, weight: Number(weight) });
+    }
+
+    const names = [...new Set(edges.flatMap(e => [e.u, e.v]))];
+    const result = new WeightedGraph();
+    const centerX = graphCanvas.width / 2;
+    const centerY = GRAPH_HEIGHT / 2;
+    const radius = Math.min(centerX, centerY) - GRAPH_VERTEX_RADIUS * 2;
+    names.forEach((name, k) => {
+        const angle = (2 * Math.PI * k) / names.length - Math.PI / 2;
+        result.addVertex(name, centerX + radius * Math.cos(angle), centerY + radius * Math.sin(angle));
+    });
+    edges.forEach(e => result.addEdge(e.u, e.v, e.weight));
+
+    return { graph: result, error: null };
+}
+
+// First free name in A..Z, then V27, V28, ...
+function nextVertexName() {
+    for (let code = 65; code <= 90; code++) {
+        const name = String.fromCharCode(code);
+        if (!graph.vertices.has(name)) return name;
+    }
+    let n = graph.vertices.size + 1;
+    while (graph.vertices.has(`V${n}`)) n++;
+    return `V${n}`;
+}
+
+
+//=============================================================================
+// GRAPH RENDERING
+// Settled vertices are green, the vertex being expanded is orange, tree edges
+// are thick green and the edge being relaxed is yellow.
+//=============================================================================
+function isTreeEdge(edge) {
+    if (!graphState) return false;
+    return [edge.u, edge.v].some(name => graphState.settled.has(name) && graphState.via.get(name) === edge);
+}
+
+function drawGraph() {
+    graphCtx.clearRect(0, 0, graphCanvas.width, graphCanvas.height);
+    if (!graph) return;
+
+    graphCtx.font = '12px Inter, sans-serif';
+    graphCtx.textAlign = 'center';
+    graphCtx.textBaseline = 'middle';
+
+    graph.edges.forEach(edge => {
+        const from = graph.vertices.get(edge.u);
+        const to = graph.vertices.get(edge.v);
+        const relaxing = graphState && graphState.relaxing === edge;
+
+        graphCtx.strokeStyle = relaxing ? '#eab308' : isTreeEdge(edge) ? '#10b981' : '#9ca3af';
+        graphCtx.lineWidth = relaxing || isTreeEdge(edge) ? 5 : 2;
+        graphCtx.beginPath();
+        graphCtx.moveTo(from.x, from.y);
+        graphCtx.lineTo(to.x, to.y);
+        graphCtx.stroke();
+
+        // Weight label on a white pill at the midpoint
+        const midX = (from.x + to.x) / 2;
+        const midY = (from.y + to.y) / 2;
+        graphCtx.fillStyle = '#ffffff';
+        graphCtx.fillRect(midX - 12, midY - 8, 24, 16);
+        graphCtx.fillStyle = '#374151';
+        graphCtx.fillText(edge.weight, midX, midY);
+    });
+
+    for (const [name, pos] of graph.vertices) {
+        let fill = '#6366f1'; // Indigo-500, same as heap nodes
+        if (graphState && graphState.settled.has(name)) fill = '#10b981';
+        if (graphState && graphState.active === name) fill = '#f97316';
+
+        graphCtx.fillStyle = fill;
+        graphCtx.beginPath();
+        graphCtx.arc(pos.x, pos.y, GRAPH_VERTEX_RADIUS, 0, 2 * Math.PI);
+        graphCtx.fill();
+
+        if (pendingEdgeStart === name) {
+            graphCtx.strokeStyle = '#f97316';
+            graphCtx.lineWidth = 3;
+            graphCtx.stroke();
+        }
+
+        graphCtx.fillStyle = '#ffffff';
+        graphCtx.font = 'bold 13px Inter, sans-serif';
+        graphCtx.fillText(name, pos.x, pos.y);
+
+        // Current tentative distance (Dijkstra) or connecting edge weight (Prim)
+        if (graphState) {
+            const key = graphState.dist.has(name) ? graphState.dist.get(name) : '∞';
+            graphCtx.fillStyle = '#374151';
+            graphCtx.font = '12px Inter, sans-serif';
+            graphCtx.fillText(`${graphState.keyName}=${key}`, pos.x, pos.y + GRAPH_VERTEX_RADIUS + 10);
+        }
+    }
+}
+
+function showGraphStatus(text) {
+    document.getElementById('graphStatus').textContent = text;
+}
+
+
+//=============================================================================
+// ALGORITHMS
+// Lazy-deletion versions: a better key is simply inserted again, and stale
+// entries are skipped when they are extracted.
+//=============================================================================
+async function runGraphAlgorithm(kind) {
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    if (!graph || graph.vertices.size === 0) return showMessage("Load or draw a graph first.", true);
+
+    const source = normalizeValue(document.getElementById('graphSource').value) || graph.vertices.keys().next().value;
+    if (!graph.vertices.has(source)) return showMessage(`Vertex ${source} is not in the graph.`, true);
+
+    const isDijkstra = kind === 'Dijkstra';
+    activeDemo = kind;
+    pendingEdgeStart = null;
+
+    // Both algorithms need a min-heap of "key:vertex" items with numeric keys
+    const switched = currentHeapType !== 'MinHeap' || keyType !== 'numeric';
+    if (switched) {
+        showMessage(`${kind} needs a numeric Min Heap: heap type and key type switched to MinHeap and Numeric ` +
+            `(were ${currentHeapType} and ${KEY_TYPES[keyType].label}).`);
+    }
+    currentHeapType = 'MinHeap';
+    keyType = 'numeric';
+    syncHeapTypeControls();
+    const heap = createHeap();
+    currentHeap = heap;
+
+    graphState = {
+        keyName: isDijkstra ? 'd' : 'key',
+        dist: new Map([[source, 0]]),
+        via: new Map(),     // vertex -> edge it was last improved through
+        settled: new Set(),
+        active: null,
+        relaxing: null
+    };
+    drawGraph();
+
+    try {
+        await runOperation(heap, h => h.insert(new PriorityItem('0', source)), `${kind}: insert 0:${source}`);
+
+        while (!heap.isEmpty()) {
+            const item = await runOperation(heap, h => h.extract(), `${kind}: extract min`);
+            const u = item.label;
+
+            if (graphState.settled.has(u)) {
+                showGraphStatus(`Skipped stale entry ${item}: ${u} is already settled.`);
+                continue;
+            }
+
+            graphState.settled.add(u);
+            graphState.active = u;
+            showGraphStatus(`Settled ${u} with ${graphState.keyName} = ${item.priority}.`);
+            drawGraph();
+            await animationSleep(ANIMATION_DELAY);
+
+            for (const { vertex: v, weight, edge } of graph.neighbors(u)) {
+                if (graphState.settled.has(v)) continue;
+
+                const key = isDijkstra ? graphState.dist.get(u) + weight : weight;
+                graphState.relaxing = edge;
+                drawGraph();
+                await animationSleep(ANIMATION_DELAY);
+
+                if (!graphState.dist.has(v) || key < graphState.dist.get(v)) {
+                    // Same length check as typed priorities: the key has to fit in a node
+                    const problem = valueError(new PriorityItem(String(key), v));
+                    if (problem) {
+                        showGraphStatus(`Stopped: ${graphState.keyName} = ${key} for ${v} does not fit in a node.`);
+                        return showMessage(`${kind} stopped at ${v}: ${problem} Use smaller edge weights.`, true);
+                    }
+                    graphState.dist.set(v, key);
+                    graphState.via.set(v, edge);
+                    showGraphStatus(`Improved ${v} to ${key} via ${u}.`);
+                    drawGraph();
+                    await runOperation(heap, h => h.insert(new PriorityItem(String(key), v)), `${kind}: insert ${key}:${v}`);
+                }
+            }
+
+            graphState.relaxing = null;
+            graphState.active = null;
+            drawGraph();
+        }
+
+        showGraphStatus(graphSummary(isDijkstra));
+        showMessage(`${kind} finished.${switched ? ' The heap stays a numeric Min Heap.' : ''}`);
+    } finally {
+        activeDemo = null;
+        recordHistory(`${kind} from ${source}`);
+    }
+}
+
+function graphSummary(isDijkstra) {
+    if (isDijkstra) {
+        const distances = [...graphState.settled].map(name => `${name}=${graphState.dist.get(name)}`);
+        return `Shortest distances: ${distances.join(', ')}.`;
+    }
+
+    const treeEdges = graph.edges.filter(isTreeEdge);
+    const total = treeEdges.reduce((sum, edge) => sum + edge.weight, 0);
+    return `Spanning tree weight ${total}: ${treeEdges.map(e => `${e.u}-${e.v}`).join(', ')}.`;
+}
+
+
+//=============================================================================
+// GRAPH EVENT HANDLERS
+// Loading an edge list, drawing on the canvas, and starting the algorithms.
+//=============================================================================
+function loadGraphHandler() {
+    if (activeDemo) return showMessage("Wait for animation...", true);
+    const { graph: parsed, error } = parseGraph(document.getElementById('graphEdges').value);
+    if (error) return showMessage(error, true);
+
+    graph = parsed;
+    graphState = null;
+    pendingEdgeStart = null;
+    drawGraph();
+    showGraphStatus(`Loaded ${graph.vertices.size} vertices and ${graph.edges.length} edges.`);
+}
+
+function clearGraphHandler() {
+    if (activeDemo) return showMessage("Wait for animation...", true);
+    graph = new WeightedGraph();
+    graphState = null;
+    pendingEdgeStart = null;
+    document.getElementById('graphEdges').value = '';
+    drawGraph();
+    showGraphStatus('Click to add vertices, then click two vertices to connect them.');
+}
+
+// Click empty space to add a vertex, or two vertices in a row to add an edge
+function handleGraphClick(event) {
+    if (activeDemo) return;
+    if (!graph) graph = new WeightedGraph();
+    graphState = null;
+
+    const rect = graphCanvas.getBoundingClientRect();
+    const x = event.clientX - rect.left;
+    const y = event.clientY - rect.top;
+    const clicked = graph.vertexAt(x, y);
+
+    if (!clicked) {
+        graph.addVertex(nextVertexName(), x, y);
+        pendingEdgeStart = null;
+    } else if (pendingEdgeStart === null) {
+        pendingEdgeStart = clicked;
+    } else if (pendingEdgeStart === clicked) {
+        pendingEdgeStart = null;
+    } else {
+        const weight = Number(document.getElementById('edgeWeight').value);
+        if (!Number.isInteger(weight) || weight < 0) return showMessage("Edge weight must be a whole number >= 0.", true);
+        graph.addEdge(pendingEdgeStart, clicked, weight);
+        pendingEdgeStart = null;
+        document.getElementById('graphEdges').value = graph.toText();
+    }
+    drawGraph();
+}
+
+window.addEventListener('load', () => {
+    graphCanvas.width = graphCanvas.parentElement.clientWidth || 600;
+    graphCanvas.height = GRAPH_HEIGHT;
+    graphCanvas.addEventListener('click', handleGraphClick);
+    loadGraphHandler();
+});
@@ -0,0 +1,536 @@
+//=============================================================================
+// HEAP DATA STRUCTURES
+// Pure, DOM-free heap implementations. Every operation runs synchronously on
+// the array and emits an event per discrete step (compare, swap, insert,
+// remove, load). The page records those events and animates them; Node can
+// require() this file directly.
+//=============================================================================
+
+//=============================================================================
+// HELPER UTILITIES
+// Mathematical formulas for tree indexing (1-based, d children per node) and
+// priority items. With d = 2 they reduce to i/2, 2i and 2i+1.
+//=============================================================================
+const parent = (index, d = 2) => Math.floor((index - 2) / d) + 1;
+const first_child = (index, d = 2) => d * (index - 1) + 2;
+const last_child = (index, d = 2) => d * index + 1;
+
+/**
+ * Priority queue entry ("3:taskA"): ordered by its priority, labelled by its
+ * payload. Instances are never mutated, so trace snapshots stay accurate.
+ */
+class PriorityItem {
+    constructor(priority, label) {
+        this.priority = priority;
+        this.label = label;
+    }
+
+    toString() { return `${this.priority}:${this.label}`; }
+}
+
+// Priority items are compared by their priority only
+const keyOf = (value) => value instanceof PriorityItem ? value.priority : value;
+
+
+//=============================================================================
+// KEY TYPES
+// How keys are parsed and ordered. Every heap compares with one key type.
+// parse() returns null for text that is not a valid key of that type, so
+// input can be rejected up front instead of being guessed at.
+//=============================================================================
+const compareOrdered = (a, b) => a > b ? 1 : a < b ? -1 : 0;
+
+// Components of a tuple key compare numerically when both are numbers
+const compareComponents = (a, b) =>
+    typeof a === 'number' && typeof b === 'number' ? compareOrdered(a, b) : compareOrdered(String(a), String(b));
+
+const parseNumber = (text) => text.trim() !== '' && Number.isFinite(Number(text)) ? Number(text) : null;
+
+const KEY_TYPES = {
+    auto: {
+        label: 'Auto (number if both parse)',
+        comparator: 'numeric if both keys are numbers, otherwise string order',
+        maxLength: 5,
+        parse: (text) => text,
+        compare: (a, b) => {
+            const numA = parseNumber(a);
+            const numB = parseNumber(b);
+            return numA !== null && numB !== null ? compareOrdered(numA, numB) : compareOrdered(a, b);
+        }
+    },
+    numeric: {
+        label: 'Numeric',
+        comparator: 'a − b (as numbers, e.g. 9 < 10)',
+        maxLength: 5,
+        parse: parseNumber,
+        compare: compareOrdered
+    },
+    lexicographic: {
+        label: 'Lexicographic',
+        comparator: 'string order by character code (e.g. "10" < "9", "Z" < "a")',
+        maxLength: 5,
+        parse: (text) => text,
+        compare: compareOrdered
+    },
+    caseInsensitive: {
+        label: 'Case-insensitive',
+        comparator: 'string order ignoring case (e.g. "a" = "A" < "b")',
+        maxLength: 5,
+        parse: (text) => text.toLowerCase(),
+        compare: compareOrdered
+    },
+    date: {
+        label: 'Date (YYYY-MM-DD)',
+        comparator: 'chronological (e.g. 2024-01-31 < 2024-02-01)',
+        maxLength: 10,
+        parse: (text) => {
+            if (!/^\d{4}-\d{2}-\d{2}$/.test(text)) return null;
+            const time = Date.parse(`${text}T00:00:00Z`);
+            // Date.parse rolls 2024-02-31 over to March; reject it instead
+            return isNaN(time) || new Date(time).toISOString().slice(0, 10) !== text ? null : time;
+        },
+        compare: compareOrdered
+    },
+    tuple: {
+        label: 'Tuple like (2,b)',
+        comparator: 'component by component, numbers numerically (e.g. (2,b) < (2,c) < (10,a))',
+        maxLength: 9,
+        parse: (text) => {
+            const match = /^\((.*)\)$/.exec(text);
+            if (!match) return null;
+            const parts = match[1].split(',').map(part => part.trim());
+            if (parts.some(part => part === '')) return null;
+            return parts.map(part => parseNumber(part) === null ? part : Number(part));
+        },
+        compare: (a, b) => {
+            for (let k = 0; k < Math.min(a.length, b.length); k++) {
+                const result = compareComponents(a[k], b[k]);
+                if (result !== 0) return result;
+            }
+            // A tuple that is a prefix of the other comes first
+            return compareOrdered(a.length, b.length);
+        }
+    }
+};
+
+// Parsed key of a value under the key type, or null if it does not parse
+function parseKey(value, keyType = 'auto') {
+    return KEY_TYPES[keyType].parse(String(keyOf(value)).trim());
+}
+
+/**
+ * Compares two values (or priority items) under the key type.
+ * @returns {number} 1 if a > b, -1 if a < b, 0 if a == b
+ */
+function compareValues(a, b, keyType = 'auto') {
+    const type = KEY_TYPES[keyType];
+    const keyA = parseKey(a, keyType);
+    const keyB = parseKey(b, keyType);
+    // Keys that do not parse are never accepted by the page; order them as text just in case
+    if (keyA === null || keyB === null) return compareOrdered(String(keyOf(a)), String(keyOf(b)));
+    return type.compare(keyA, keyB);
+}
+
+
+//=============================================================================
+// EVENT PLUMBING
+// Shared by the array heaps below and the pointer-based heaps in
+// mergeable-heap.js. Listeners are called right after each step, so the heap
+// already reflects it.
+//=============================================================================
+class HeapEvents {
+    constructor() {
+        this.listeners = [];
+    }
+
+    /**
+     * Registers a listener for every step event ({ type, i, j, result, value }).
+     * The root removed by extract() comes as a remove with extracted: true.
+     * @returns {Function} Call it to unsubscribe.
+     */
+    subscribe(listener) {
+        this.listeners.push(listener);
+        return () => { this.listeners = this.listeners.filter(l => l !== listener); };
+    }
+
+    emit(type, details = {}) {
+        this.listeners.forEach(listener => listener({ type, ...details }));
+    }
+}
+
+
+//=============================================================================
+// BASE HEAP CLASS
+// Contains the logic shared by the array-backed heaps.
+//=============================================================================
+class BaseHeap extends HeapEvents {
+    constructor(d = 2, keyType = 'auto', stable = false) {
+        super();
+        this.heap = [null]; // Array used for 1-based indexing
+        this.d = d;         // Branching factor (children per node)
+        this.keyType = keyType; // Entry of KEY_TYPES used by every comparison
+        this.sortedFrom = null; // First index of the sorted tail left by sort()
+        this.stable = stable;   // Break ties between equal keys by insertion order
+        this.sequence = [null]; // Insertion number of the entry in each slot
+        this.nextSequence = 1;
+    }
+
+    // Compares the values at two indices and reports the comparison. A stable
+    // heap never reports a tie: the entry inserted first wins (FIFO).
+    compare(i, j) {
+        let result = compareValues(this.heap[i], this.heap[j], this.keyType);
+        if (result === 0 && this.stable) result = this.tieBreak(i, j);
+        this.emit('compare', { i, j, result });
+        return result;
+    }
+
+    swap(i, j) {
+        [this.heap[i], this.heap[j]] = [this.heap[j], this.heap[i]];
+        [this.sequence[i], this.sequence[j]] = [this.sequence[j], this.sequence[i]];
+        this.emit('swap', { i, j });
+    }
+
+    // Appends an entry with the next insertion number
+    push(value) {
+        this.heap.push(value);
+        this.sequence.push(this.nextSequence++);
+    }
+
+    // Removes the last entry and returns its value
+    pop() {
+        this.sequence.pop();
+        return this.heap.pop();
+    }
+
+    // Exclusive end of the heap region; indices from here on are sorted output
+    heapEnd() { return this.sortedFrom === null ? this.heap.length : this.sortedFrom; }
+
+    // Removes the last heap entry and returns its value. A sorted tail behind
+    // it moves up one slot.
+    popHeapEnd() {
+        if (this.sortedFrom === null) return this.pop();
+        const last = this.sortedFrom - 1;
+        this.sequence.splice(last, 1);
+        this.sortedFrom--;
+        return this.heap.splice(last, 1)[0];
+    }
+
+    // Puts the sorted tail back into the heap. Reversed, a fully sorted array
+    // already is a heap (largest first for a MaxHeap); repair() settles a
+    // partly sorted array and the tie order of a stable heap.
+    restoreSorted() {
+        if (this.sortedFrom === null) return;
+        this.heap = [null, ...this.heap.slice(1).reverse()];
+        this.sequence = [null, ...this.sequence.slice(1).reverse()];
+        this.sortedFrom = null;
+        this.repair();
+    }
+
+    peek() { return this.heapEnd() > 1 ? this.heap[1] : null; }
+    isEmpty() { return this.heapEnd() <= 1; }
+
+    // Values still in the heap, in array order
+    values() { return this.heap.slice(1, this.heapEnd()); }
+
+    // Independent copy (sorted tail included) without the listeners
+    clone() {
+        const copy = new this.constructor(this.d, this.keyType, this.stable);
+        copy.heap = this.heap.slice();
+        copy.sortedFrom = this.sortedFrom;
+        copy.sequence = this.sequence.slice();
+        copy.nextSequence = this.nextSequence;
+        return copy;
+    }
+
+    // Replaces the contents as-is, without restoring the heap property.
+    // Insertion numbers restart in array order.
+    load(values) {
+        this.heap = [null, ...values];
+        this.sequence = [null, ...values.map((value, k) => k + 1)];
+        this.nextSequence = values.length + 1;
+        this.sortedFrom = null;
+        this.emit('load');
+    }
+
+    // Replaces the contents and builds the heap bottom-up
+    build(values) {
+        this.load(values);
+        this.repair();
+    }
+
+    // Sifts every internal node down, last one first, which restores the heap
+    // property however the array was edited
+    repair() {
+        for (let i = parent(this.heapEnd() - 1, this.d); i >= 1; i--) {
+            this.heapify(i);
+        }
+    }
+
+    /**
+     * Overwrites the value at the index without restoring the heap property,
+     * e.g. for free editing. Call repair() afterwards to fix the heap. The
+     * entry keeps its insertion number, like changePriority().
+     */
+    replace(index, value) {
+        if (index < 1 || index >= this.heapEnd()) {
+            return { success: false, value: null };
+        }
+
+        const previous = this.heap[index];
+        this.heap[index] = value;
+        this.emit('update', { i: index, value, previous });
+        return { success: true, value: previous };
+    }
+
+    /**
+     * In-place heapsort: swaps the root with the last heap slot, shrinks the
+     * heap boundary and sifts down. A MaxHeap ends up ascending, a MinHeap
+     * descending. Afterwards the whole array is sorted and the heap is empty
+     * until restoreSorted().
+     */
+    sort() {
+        for (let end = this.heapEnd() - 1; end > 1; end--) {
+            this.swap(1, end);
+            this.sortedFrom = end;
+            this.emit('sorted', { i: end, value: this.heap[end] });
+            this.heapify(1);
+        }
+        if (this.heapEnd() > 1) {
+            this.sortedFrom = 1;
+            this.emit('sorted', { i: 1, value: this.heap[1] });
+        }
+    }
+
+    /**
+     * Sets a new priority at the index (decrease-key / increase-key) and sifts
+     * the entry up or down via restoreHeap. Plain values are replaced outright.
+     */
+    changePriority(index, priority) {
+        if (index < 1 || index >= this.heapEnd()) {
+            return { success: false, value: null };
+        }
+
+        const previous = this.heap[index];
+        this.heap[index] = previous instanceof PriorityItem ? new PriorityItem(priority, previous.label) : priority;
+        this.emit('update', { i: index, value: this.heap[index], previous });
+        this.restoreHeap(index);
+
+        return { success: true, value: previous };
+    }
+
+    /**
+     * Lists every parent/child pair that breaks the heap property.
+     * @returns {Array<{parent: number, child: number}>} Empty for a valid heap.
+     */
+    findViolations() {
+        const violations = [];
+        for (let child = 2; child < this.heapEnd(); child++) {
+            const p = parent(child, this.d);
+            if (!this.isOrdered(this.heap[p], this.heap[child])) violations.push({ parent: p, child });
+        }
+        return violations;
+    }
+
+    // General delete logic (remains the same, uses internal heap array)
+    deleteAtIndex(index) {
+        const size = this.heapEnd() - 1; // Last heap slot; the sorted tail stays
+        if (index < 1 || index > size) {
+            return { success: false, value: null };
+        }
+
+        const deletedValue = this.heap[index]; 
+
+        // Special Case: Deleting the last element is easy
+        if (index === size) {
+            this.popHeapEnd();
+            this.emit('remove', { i: index, value: deletedValue });
+            return { success: true, value: deletedValue };
+        }
+        
+        // 1. Swap the element to be deleted with the last element
+        this.swap(index, size); 
+        
+        // 2. Remove the element from the end of the heap
+        this.popHeapEnd(); 
+        this.emit('remove', { i: size, value: deletedValue });
+        
+        // 3. Restore the Heap property (logic handled by derived classes)
+        this.restoreHeap(index);
+
+        return { success: true, value: deletedValue };
+    }
+}
+
+//=============================================================================
+// MAX HEAP IMPLEMENTATION
+// Logic ensuring the parent node is always GREATER than its children.
+//=============================================================================
+class MaxHeap extends BaseHeap {
+    insert(value) {
+        this.push(value);
+        let index = this.heap.length - 1;
+        this.emit('insert', { i: index, value });
+
+        while (index > 1) {
+            const parentIndex = parent(index, this.d);
+            // FIX: Use compareValues. MaxHeap requires parent >= child.
+            // If compareValues < 0, it means parent < child, so swap.
+            if (this.compare(parentIndex, index) < 0) {
+                this.swap(parentIndex, index); 
+                index = parentIndex;
+            } else { break; }
+        }
+    }
+
+    heapify(index) {
+        let largest = index;
+        const n = this.heapEnd();
+        const last = Math.min(last_child(index, this.d), n - 1);
+
+        // FIX: Use compareValues. largest < child means swap.
+        for (let child = first_child(index, this.d); child <= last; child++) {
+            if (this.compare(child, largest) > 0) largest = child;
+        }
+
+        if (largest !== index) {
+            this.swap(index, largest);
+            this.heapify(largest); 
+        }
+    }
+
+    extract() {
+        if (this.isEmpty()) return null;
+        const maxValue = this.heap[1];
+
+        if (this.heap.length === 2) {
+            this.pop();
+            this.emit('remove', { i: 1, value: maxValue, extracted: true });
+        } else {
+            // The last element replaces the root, then sifts down
+            const lastSequence = this.sequence[this.heap.length - 1];
+            this.heap[1] = this.pop();
+            this.sequence[1] = lastSequence;
+            this.emit('remove', { i: 1, value: maxValue, extracted: true });
+            this.heapify(1);
+        }
+        
+        return maxValue;
+    }
+    
+    // MaxHeap requires parent >= child
+    isOrdered(parentValue, childValue) { return compareValues(parentValue, childValue, this.keyType) >= 0; }
+
+    // Among equal keys the earlier insertion counts as the larger one
+    tieBreak(i, j) { return Math.sign(this.sequence[j] - this.sequence[i]); }
+
+    // Restore Heap Property (Comparison remains the same)
+    restoreHeap(index) {
+        let currentIndex = index;
+        const parentIndex = parent(currentIndex, this.d);
+        
+        // FIX: Check if the node needs to sift UP (parent < child)
+        if (currentIndex > 1 && this.compare(parentIndex, currentIndex) < 0) {
+            while (currentIndex > 1) {
+                const pIndex = parent(currentIndex, this.d);
+                // FIX: If parent < current, swap up.
+                if (this.compare(pIndex, currentIndex) < 0) {
+                    this.swap(pIndex, currentIndex); 
+                    currentIndex = pIndex;
+                } else { break; }
+            }
+        } else {
+            // Otherwise, the node needs to sift DOWN
+            this.heapify(index);
+        }
+    }
+}
+
+//=============================================================================
+// MIN HEAP IMPLEMENTATION
+// Logic ensuring the parent node is always SMALLER than its children.
+//=============================================================================
+class MinHeap extends BaseHeap {
+    insert(value) {
+        this.push(value);
+        let index = this.heap.length - 1;
+        this.emit('insert', { i: index, value });
+
+        while (index > 1) {
+            const parentIndex = parent(index, this.d);
+            // FIX: Use compareValues. MinHeap requires parent <= child.
+            // If compareValues > 0, it means parent > child, so swap.
+            if (this.compare(parentIndex, index) > 0) {
+                this.swap(parentIndex, index);
+                index = parentIndex;
+            } else { break; }
+        }
+    }
+
+    heapify(index) {
+        let smallest = index;
+        const n = this.heapEnd();
+        const last = Math.min(last_child(index, this.d), n - 1);
+
+        // FIX: Use compareValues. smallest > child means swap.
+        for (let child = first_child(index, this.d); child <= last; child++) {
+            if (this.compare(child, smallest) < 0) smallest = child;
+        }
+
+        if (smallest !== index) {
+            this.swap(index, smallest);
+            this.heapify(smallest);
+        }
+    }
+
+    extract() {
+        if (this.isEmpty()) return null;
+        const minValue = this.heap[1];
+
+        if (this.heap.length === 2) {
+            this.pop();
+            this.emit('remove', { i: 1, value: minValue, extracted: true });
+        } else {
+            const lastSequence = this.sequence[this.heap.length - 1];
+            this.heap[1] = this.pop();
+            this.sequence[1] = lastSequence;
+            this.emit('remove', { i: 1, value: minValue, extracted: true });
+            this.heapify(1);
+        }
+        
+        return minValue;
+    }
+
+    // MinHeap requires parent <= child
+    isOrdered(parentValue, childValue) { return compareValues(parentValue, childValue, this.keyType) <= 0; }
+
+    // Among equal keys the earlier insertion counts as the smaller one
+    tieBreak(i, j) { return Math.sign(this.sequence[i] - this.sequence[j]); }
+
+    // Restore Heap Property (Comparison remains the same)
+    restoreHeap(index) {
+        let currentIndex = index;
+        const parentIndex = parent(currentIndex, this.d);
+        
+        // FIX: Check if the node needs to sift UP (parent > child)
+        if (currentIndex > 1 && this.compare(parentIndex, currentIndex) > 0) {
+            while (currentIndex > 1) {
+                const pIndex = parent(currentIndex, this.d);
+                // FIX: If parent > current, swap up.
+                if (this.compare(pIndex, currentIndex) > 0) {
+                    this.swap(pIndex, currentIndex);
+                    currentIndex = pIndex;
+                } else { break; }
+            }
+        } else {
+            // Otherwise, the node needs to sift DOWN
+            this.heapify(index);
+        }
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        HeapEvents, BaseHeap, MaxHeap, MinHeap, PriorityItem, KEY_TYPES,
+        compareValues, parseKey, keyOf, parent, first_child, last_child
+    };
+}
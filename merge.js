@@ -0,0 +1,197 @@
+//=============================================================================
+// K-WAY MERGE
+// Merges sorted lists through the visualized MinHeap. The heap holds one
+// "key:lane" item per list (the lane's current head). Every extract moves the
+// smallest head to the merged output, and the insert that follows pulls the
+// next value from the same lane. The lanes are drawn next to the tree and the
+// output underneath it; both stay up until the next merge or Clear.
+//=============================================================================
+const MAX_MERGE_LISTS = 8;
+const MAX_MERGE_VALUES = 120; // All lists together
+
+let mergeState = null;   // { lanes, output, activeLane } of the merge on screen
+let mergeStopRequested = false;
+
+/**
+ * Parses "1, 4, 9; 2, 3, 8" (lists split by ";" or new lines).
+ * @returns {{lists: Array|null, error: string|null}}
+ */
+function parseMergeLists(text) {
+    const sources = text.split(/[;\n]/).map(source => source.trim()).filter(Boolean);
+    if (sources.length < 2) return { lists: null, error: "Enter at least two lists, separated by ; or new lines." };
+    if (sources.length > MAX_MERGE_LISTS) return { lists: null, error: `Merge at most ${MAX_MERGE_LISTS} lists.` };
+
+    const lists = [];
+    for (const [k, source] of sources.entries()) {
+        const values = splitValues(source).map(parseValue).filter(v => v !== null);
+        if (values.some(value => value instanceof PriorityItem)) {
+            return { lists: null, error: `List ${k + 1}: use plain keys; the lane name becomes each item's label.` };
+        }
+        const problem = values.map(value => valueError(value)).find(error => error !== null);
+        if (problem) return { lists: null, error: `List ${k + 1}: ${problem}` };
+        const unsorted = values.findIndex((value, i) => i > 0 && compareValues(values[i - 1], value, keyType) > 0);
+        if (unsorted > 0) {
+            return { lists: null, error: `List ${k + 1} is not sorted: ${values[unsorted]} comes after ${values[unsorted - 1]}.` };
+        }
+        lists.push(values);
+    }
+    if (lists.flat().length > MAX_MERGE_VALUES) return { lists: null, error: `Merge at most ${MAX_MERGE_VALUES} values in total.` };
+    return { lists, error: null };
+}
+
+
+//=============================================================================
+// LANES & OUTPUT
+// Each lane cell is taken (already merged), in the heap (the lane's head) or
+// waiting. The lane being extracted from or pulled from is outlined.
+//=============================================================================
+function mergeCell(text, className) {
+    const cell = document.createElement('span');
+    cell.className = `merge-cell ${className}`;
+    cell.textContent = text;
+    return cell;
+}
+
+function renderMergeState() {
+    const lanesBox = document.getElementById('mergeLanes');
+    const outputBox = document.getElementById('mergeOutput');
+    lanesBox.classList.toggle('hidden', mergeState === null);
+    outputBox.classList.toggle('hidden', mergeState === null);
+    if (mergeState === null) return;
+
+    const list = document.getElementById('mergeLaneList');
+    list.textContent = '';
+    mergeState.lanes.forEach(lane => {
+        const row = document.createElement('div');
+        row.className = 'merge-lane';
+        if (lane === mergeState.activeLane) row.classList.add('merge-lane-active');
+        row.appendChild(mergeCell(lane.name, 'merge-lane-name'));
+        lane.values.forEach((value, k) => {
+            const state = k < lane.taken ? 'merge-cell-taken' : k < lane.pulled ? 'merge-cell-head' : 'merge-cell-waiting';
+            row.appendChild(mergeCell(value, state));
+        });
+        if (lane.values.length === 0) row.appendChild(mergeCell('empty', 'merge-cell-taken'));
+        list.appendChild(row);
+    });
+
+    const output = document.getElementById('mergeOutputList');
+    output.textContent = '';
+    mergeState.output.forEach(({ value, lane }, k) => {
+        const cell = mergeCell(value, k === mergeState.output.length - 1 ? 'merge-cell-head' : 'merge-cell-output');
+        cell.title = `From ${lane}`;
+        output.appendChild(cell);
+    });
+    document.getElementById('mergeOutputCount').textContent =
+        `${mergeState.output.length} / ${mergeState.lanes.reduce((sum, lane) => sum + lane.values.length, 0)}`;
+}
+
+function showMergeStatus(text) {
+    document.getElementById('mergeStatus').textContent = text;
+}
+
+
+//=============================================================================
+// MERGE
+//=============================================================================
+// Moves the lane's next value into the heap
+async function pullFromLane(heap, lane) {
+    const value = lane.values[lane.pulled];
+    lane.pulled++;
+    mergeState.activeLane = lane;
+    renderMergeState();
+    showMergeStatus(`Pull ${value} from ${lane.name}.`);
+    await runOperation(heap, h => h.insert(new PriorityItem(value, lane.name)), `Merge: insert ${value}:${lane.name}`);
+}
+
+async function runMerge(lists) {
+    activeDemo = 'K-way merge';
+    mergeStopRequested = false;
+    updateMergeControls();
+
+    // The merge needs an empty MinHeap; the heap it replaces stays in the history
+    const replaced = heapValues().length;
+    if (currentHeapType !== 'MinHeap' || replaced > 0) {
+        keepHeapInHistory(`${currentHeapType} before the merge`);
+        showMessage(`K-way merge runs on an empty Min Heap: your ${currentHeapType} ` +
+            `(${replaced} value${replaced === 1 ? '' : 's'}) was replaced. Undo brings it back.`);
+    }
+    currentHeapType = 'MinHeap';
+    syncHeapTypeControls();
+    const heap = createHeap();
+    currentHeap = heap;
+    mergeState = {
+        lanes: lists.map((values, k) => ({ name: `L${k + 1}`, values, pulled: 0, taken: 0 })),
+        output: [],
+        activeLane: null
+    };
+    renderMergeState();
+
+    try {
+        // One head per lane to start with
+        for (const lane of mergeState.lanes) {
+            if (mergeStopRequested) break;
+            if (lane.values.length > 0) await pullFromLane(heap, lane);
+        }
+
+        while (!heap.isEmpty() && !mergeStopRequested) {
+            const item = await runOperation(heap, h => h.extract(), 'Merge: extract min');
+            const lane = mergeState.lanes.find(candidate => candidate.name === item.label);
+            lane.taken++;
+            mergeState.output.push({ value: item.priority, lane: lane.name });
+            mergeState.activeLane = lane;
+            renderMergeState();
+            showMergeStatus(`${item.priority} is the smallest head; it came from ${lane.name}.`);
+            await animationSleep(ANIMATION_DELAY);
+
+            if (lane.pulled < lane.values.length) {
+                await pullFromLane(heap, lane);
+            } else {
+                showMergeStatus(`${lane.name} is used up; the heap shrinks to ${heap.values().length}.`);
+            }
+        }
+
+        mergeState.activeLane = null;
+        renderMergeState();
+        const merged = mergeState.output.map(({ value }) => value).join(', ');
+        const count = mergeState.output.length;
+        showMergeStatus(mergeStopRequested ? `Stopped after ${count} value${count === 1 ? '' : 's'}.` : `Merged: ${merged}.`);
+        showMessage(mergeStopRequested ? "Merge stopped." : `Merged ${lists.length} lists into ${count} values.`);
+    } finally {
+        activeDemo = null;
+        updateMergeControls();
+        recordHistory(`K-way merge of ${lists.length} lists`);
+    }
+}
+
+function updateMergeControls() {
+    const running = activeDemo === 'K-way merge';
+    document.getElementById('mergeRunBtn').disabled = running;
+    document.getElementById('mergeStopBtn').disabled = !running;
+}
+
+
+//=============================================================================
+// MERGE EVENT HANDLERS
+//=============================================================================
+async function mergeRunHandler() {
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    const { lists, error } = parseMergeLists(document.getElementById('mergeLists').value);
+    if (error) return showMessage(error, true);
+    await runMerge(lists);
+}
+
+function mergeStopHandler() {
+    mergeStopRequested = true;
+}
+
+function mergeClearHandler() {
+    if (activeDemo === 'K-way merge') return showMessage("Stop the merge first.", true);
+    mergeState = null;
+    renderMergeState();
+    showMergeStatus('');
+}
+
+window.addEventListener('load', () => {
+    renderMergeState();
+    updateMergeControls();
+});
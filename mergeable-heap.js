@@ -0,0 +1,539 @@
+//=============================================================================
+// MERGEABLE HEAPS
+// Pointer-based min-heaps stored as a forest of heap-ordered trees: the
+// binomial and Fibonacci heaps, and the leftist and skew heaps (binary trees).
+// Like heap.js this file never touches the DOM. Each structural step emits an
+// event (insert, link, cut, remove, meld, ...) and snapshot() gives the
+// renderer a plain copy of the forest.
+//=============================================================================
+
+// Node: share HeapEvents, compareValues, ... from heap.js (the page loads it first)
+if (typeof module !== 'undefined' && module.exports && typeof HeapEvents === 'undefined') {
+    Object.assign(globalThis, require('./heap.js'));
+}
+
+class ForestNode {
+    constructor(id, value) {
+        this.id = id;       // Stable identity, so the renderer can follow a node as it moves
+        this.value = value;
+        this.parent = null;
+        this.children = []; // Binary-tree heaps keep [left, right] with null for a missing child
+        this.mark = false;  // Fibonacci heap: lost a child since it was last linked
+    }
+
+    get degree() { return this.children.filter(Boolean).length; }
+}
+
+
+//=============================================================================
+// FOREST HEAP BASE CLASS
+// Root list handling, linking, the second heap (B) and snapshots shared by
+// all variants. Events refer to nodes by id (i, j) instead of array indices.
+//=============================================================================
+class ForestHeap extends HeapEvents {
+    constructor(keyType = 'auto') {
+        super();
+        this.keyType = keyType; // Entry of KEY_TYPES used by every comparison
+        this.roots = [];
+        this.nextId = 1;
+        this.second = null; // Heap B, built next to this one until it is melded in
+    }
+
+    createNode(value) { return new ForestNode(this.nextId++, value); }
+
+    isEmpty() { return this.roots.length === 0; }
+
+    // Minimum root, found without emitting compare events
+    minNode() {
+        return this.roots.reduce((min, root) =>
+            min === null || compareValues(root.value, min.value, this.keyType) < 0 ? root : min, null);
+    }
+
+    peek() {
+        const min = this.minNode();
+        return min ? min.value : null;
+    }
+
+    // Compares the values of two nodes and reports the comparison
+    compareNodes(a, b) {
+        const result = compareValues(a.value, b.value, this.keyType);
+        this.emit('compare', { i: a.id, j: b.id, result });
+        return result;
+    }
+
+    // Scans the root list for the minimum, reporting every comparison
+    findMin() {
+        let min = this.roots[0] || null;
+        this.roots.slice(1).forEach(root => {
+            if (this.compareNodes(root, min) < 0) min = root;
+        });
+        return min;
+    }
+
+    // Every node, parents before children
+    nodes() {
+        const all = [];
+        const visit = (node) => {
+            all.push(node);
+            node.children.forEach(child => child && visit(child));
+        };
+        this.roots.forEach(visit);
+        return all;
+    }
+
+    values() { return this.nodes().map(node => node.value); }
+
+    findNode(id) { return this.nodes().find(node => node.id === id) || null; }
+
+    // Makes the root `child` the last child of the root `root`
+    link(root, child) {
+        this.roots.splice(this.roots.indexOf(child), 1);
+        child.parent = root;
+        child.mark = false;
+        root.children.push(child);
+        this.emit('link', { i: root.id, j: child.id });
+    }
+
+    // Empties the heap and inserts the values one by one
+    load(values) {
+        this.roots = [];
+        this.emit('load');
+        values.forEach(value => this.insert(value));
+    }
+
+    // There is no bottom-up build for a forest; inserting is already cheap
+    build(values) { this.load(values); }
+
+    /**
+     * Builds heap B from `values` and shows it next to this one. B is built
+     * silently (ids continue this heap's numbering), so the trace has one step.
+     */
+    buildSecond(values) {
+        const other = new this.constructor(this.keyType);
+        other.nextId = this.nextId;
+        other.load(values);
+        this.nextId = other.nextId;
+        this.second = other;
+        this.emit('second', { ids: other.nodes().map(node => node.id) });
+    }
+
+    // Melds heap B into this one; returns false if there is no heap B
+    meldSecond() {
+        if (this.second === null) return false;
+        const other = this.second;
+        this.second = null;
+        this.absorb(other, other.nodes().map(node => node.id));
+        return true;
+    }
+
+    meld(values) {
+        this.buildSecond(values);
+        this.meldSecond();
+    }
+
+    /**
+     * Lowers the key of node `id` and restores heap order. Priority items keep
+     * their label, as in BaseHeap.changePriority().
+     */
+    decreaseKey(id, priority) {
+        const node = this.findNode(id);
+        if (!node) return { success: false, value: null };
+
+        const previous = node.value;
+        const value = previous instanceof PriorityItem ? new PriorityItem(priority, previous.label) : priority;
+        if (compareValues(value, previous, this.keyType) > 0) return { success: false, value: previous };
+
+        node.value = value;
+        this.emit('update', { i: id, value, previous });
+        this.restoreAfterDecrease(node);
+        return { success: true, value: previous };
+    }
+
+    // Label drawn above each root in the forest view
+    rootLabel(root) { return `deg ${root.degree}`; }
+
+    secondRootLabel(root) { return `B · ${this.rootLabel(root, 0)}`; }
+
+    // Small extra label drawn on a node (e.g. the leftist heap's npl), or null
+    nodeBadge() { return null; }
+
+    /**
+     * Plain copy of the forest for the renderer. Trees of heap B come last and
+     * are flagged `secondary`.
+     * @returns {{roots: Array, minId: number|null, binary: boolean}} Nodes are
+     *     { id, value, mark, badge, children }.
+     */
+    snapshot() {
+        const copy = (node) => ({
+            id: node.id,
+            value: node.value,
+            mark: node.mark,
+            badge: this.nodeBadge(node),
+            children: node.children.map(child => child && copy(child))
+        });
+        const min = this.minNode();
+        const secondRoots = this.second ? this.second.roots : [];
+        return {
+            roots: [
+                ...this.roots.map((root, index) => ({ ...copy(root), label: this.rootLabel(root, index) })),
+                ...secondRoots.map(root => ({ ...copy(root), label: this.secondRootLabel(root), secondary: true }))
+            ],
+            minId: min ? min.id : null,
+            binary: false
+        };
+    }
+
+    // Independent copy of the forest (heap B included) without the listeners
+    clone() {
+        const copy = new this.constructor(this.keyType);
+        copy.nextId = this.nextId;
+        const cloneNode = (node, parentNode) => {
+            const twin = Object.assign(new ForestNode(node.id, node.value), node, { parent: parentNode });
+            twin.children = node.children.map(child => child && cloneNode(child, twin));
+            return twin;
+        };
+        copy.roots = this.roots.map(root => cloneNode(root, null));
+        copy.second = this.second ? this.second.clone() : null;
+        return copy;
+    }
+}
+
+
+//=============================================================================
+// BINOMIAL HEAP
+// The root list holds at most one binomial tree B_k per degree, ordered by
+// degree. Merging two root lists works like binary addition: two trees of
+// the same degree are linked into one of the next degree.
+//=============================================================================
+class BinomialHeap extends ForestHeap {
+    insert(value) {
+        const node = this.createNode(value);
+        this.mergeRoots([node]);
+        this.emit('insert', { i: node.id, value });
+        this.linkEqualDegrees();
+    }
+
+    extract() {
+        if (this.isEmpty()) return null;
+        const min = this.findMin();
+
+        // The children of a B_k root are B_0 ... B_k-1, already in degree order
+        this.roots.splice(this.roots.indexOf(min), 1);
+        min.children.forEach(child => { child.parent = null; });
+        this.mergeRoots(min.children);
+        this.emit('remove', { i: min.id, value: min.value });
+        this.linkEqualDegrees();
+
+        return min.value;
+    }
+
+    absorb(other, ids) {
+        this.mergeRoots(other.roots);
+        this.emit('meld', { ids });
+        this.linkEqualDegrees();
+    }
+
+    // Decreased key bubbles up; the node and its parent trade places (ids included)
+    restoreAfterDecrease(node) {
+        while (node.parent && this.compareNodes(node, node.parent) < 0) {
+            const above = node.parent;
+            [node.id, above.id] = [above.id, node.id];
+            [node.value, above.value] = [above.value, node.value];
+            this.emit('swap', { i: above.id, j: node.id });
+            node = above;
+        }
+    }
+
+    rootLabel(root) { return `B${root.degree}`; }
+
+    // Merges another root list into this one, keeping it ordered by degree
+    mergeRoots(others) {
+        const merged = [];
+        let a = 0;
+        let b = 0;
+        while (a < this.roots.length || b < others.length) {
+            const takeOwn = b >= others.length || (a < this.roots.length && this.roots[a].degree <= others[b].degree);
+            merged.push(takeOwn ? this.roots[a++] : others[b++]);
+        }
+        this.roots = merged;
+    }
+
+    // Links neighbouring roots of equal degree (the "carry" of binary addition)
+    linkEqualDegrees() {
+        let k = 0;
+        while (k < this.roots.length - 1) {
+            const current = this.roots[k];
+            const next = this.roots[k + 1];
+            const afterNext = this.roots[k + 2];
+
+            // With three equal degrees in a row, the first one stays and the other two link
+            if (current.degree !== next.degree || (afterNext && afterNext.degree === current.degree)) {
+                k++;
+                continue;
+            }
+
+            if (this.compareNodes(current, next) <= 0) {
+                this.link(current, next);
+            } else {
+                this.link(next, current);
+            }
+        }
+    }
+}
+
+
+//=============================================================================
+// FIBONACCI HEAP
+// Lazy variant: insert and meld only append to the root list and update the
+// min pointer. extract() does the deferred work by consolidating the roots,
+// and decrease-key cuts nodes out with cascading cuts on marked parents.
+//=============================================================================
+class FibonacciHeap extends ForestHeap {
+    constructor(keyType) {
+        super(keyType);
+        this.min = null;
+    }
+
+    minNode() { return this.min; }
+
+    load(values) {
+        this.min = null;
+        super.load(values);
+    }
+
+    insert(value) {
+        const node = this.createNode(value);
+        this.roots.push(node);
+        this.emit('insert', { i: node.id, value });
+        this.updateMin(node);
+    }
+
+    extract() {
+        if (this.isEmpty()) return null;
+        const min = this.min;
+
+        // Children become roots; nothing else is tidied up until consolidate()
+        this.roots.splice(this.roots.indexOf(min), 1);
+        min.children.forEach(child => {
+            child.parent = null;
+            child.mark = false;
+        });
+        this.roots.push(...min.children);
+        this.min = null;
+        this.emit('remove', { i: min.id, value: min.value });
+
+        if (!this.isEmpty()) this.consolidate();
+        return min.value;
+    }
+
+    absorb(other, ids) {
+        this.roots.push(...other.roots);
+        this.emit('meld', { ids });
+        if (other.min) this.updateMin(other.min);
+    }
+
+    // Links roots of equal degree until every degree is unique, then finds the new min
+    consolidate() {
+        this.emit('consolidate');
+        const byDegree = [];
+
+        this.roots.slice().forEach(root => {
+            let degree = root.degree;
+            while (byDegree[degree]) {
+                let other = byDegree[degree];
+                if (this.compareNodes(root, other) > 0) [root, other] = [other, root];
+                this.link(root, other);
+                byDegree[degree] = null;
+                degree++;
+            }
+            byDegree[degree] = root;
+        });
+
+        this.setMin(this.findMin());
+    }
+
+    restoreAfterDecrease(node) {
+        const above = node.parent;
+        if (above && this.compareNodes(node, above) < 0) {
+            this.cut(node);
+            this.cascadingCut(above);
+        }
+        if (node !== this.min) this.updateMin(node);
+    }
+
+    // Moves a node (with its subtree) from its parent to the root list
+    cut(node) {
+        const above = node.parent;
+        above.children.splice(above.children.indexOf(node), 1);
+        node.parent = null;
+        node.mark = false;
+        this.roots.push(node);
+        this.emit('cut', { i: node.id, j: above.id });
+    }
+
+    // A parent losing its first child is marked; losing a second one cuts it too
+    cascadingCut(node) {
+        const above = node.parent;
+        if (!above) return;
+
+        if (!node.mark) {
+            node.mark = true;
+            this.emit('mark', { i: node.id });
+        } else {
+            this.cut(node);
+            this.cascadingCut(above);
+        }
+    }
+
+    updateMin(node) {
+        if (this.min === null || this.compareNodes(node, this.min) < 0) this.setMin(node);
+    }
+
+    setMin(node) {
+        this.min = node;
+        this.emit('min', { i: node.id });
+    }
+
+    clone() {
+        const copy = super.clone();
+        copy.min = this.min ? copy.roots.find(root => root.id === this.min.id) : null;
+        return copy;
+    }
+}
+
+
+//=============================================================================
+// LEFTIST & SKEW HEAPS
+// Binary trees where every operation is a merge along the right spines: the
+// smaller spine head goes next and the other tree waits as a second root.
+// On the way back up, the leftist heap swaps children whenever the right
+// null-path length (npl) exceeds the left one; the skew heap always swaps.
+//=============================================================================
+class BinaryTreeHeap extends ForestHeap {
+    createNode(value) {
+        const node = super.createNode(value);
+        node.children = [null, null];
+        return node;
+    }
+
+    insert(value) {
+        const node = this.createNode(value);
+        this.roots.push(node);
+        this.emit('insert', { i: node.id, value });
+        if (this.roots.length === 2) this.mergeTrees(this.roots[0], node);
+    }
+
+    extract() {
+        if (this.isEmpty()) return null;
+        const root = this.roots[0];
+
+        // The two subtrees become separate trees and are merged again
+        this.roots = root.children.filter(Boolean);
+        this.roots.forEach(child => { child.parent = null; });
+        this.emit('remove', { i: root.id, value: root.value });
+        if (this.roots.length === 2) this.mergeTrees(this.roots[0], this.roots[1]);
+
+        return root.value;
+    }
+
+    absorb(other, ids) {
+        this.roots.push(...other.roots);
+        this.emit('meld', { ids });
+        if (this.roots.length === 2) this.mergeTrees(this.roots[0], this.roots[1]);
+    }
+
+    // Only the binomial and Fibonacci heaps offer decrease-key here
+    decreaseKey() { return { success: false, value: null }; }
+
+    /**
+     * Merges the two trees of the root list. Walks down the right spine of the
+     * merged tree; whenever the waiting tree's root is smaller than the next
+     * spine node, it takes that right slot and the old right subtree waits
+     * instead. Then fixChildren() runs bottom-up along the path.
+     */
+    mergeTrees(a, b) {
+        if (this.compareNodes(a, b) > 0) [a, b] = [b, a];
+        this.roots = [a, b];
+        const path = [a];
+        let current = a;
+        let waiting = b;
+
+        while (waiting !== null) {
+            const right = current.children[1];
+            if (right === null) {
+                this.attachRight(current, waiting);
+                this.roots = [a];
+                this.emit('link', { i: current.id, j: waiting.id });
+                waiting = null;
+            } else if (this.compareNodes(right, waiting) <= 0) {
+                current = right;
+                path.push(current);
+                this.emit('descend', { i: current.id });
+            } else {
+                right.parent = null;
+                this.attachRight(current, waiting);
+                this.roots = [a, right];
+                this.emit('link', { i: current.id, j: waiting.id, k: right.id });
+                current = waiting;
+                path.push(current);
+                waiting = right;
+            }
+        }
+
+        path.reverse().forEach(node => this.fixChildren(node));
+    }
+
+    attachRight(parentNode, child) {
+        parentNode.children[1] = child;
+        child.parent = parentNode;
+    }
+
+    swapChildren(node) {
+        node.children = [node.children[1], node.children[0]];
+    }
+
+    rootLabel(root, index) { return index === 0 ? 'heap A' : 'to merge'; }
+
+    secondRootLabel() { return 'heap B'; }
+
+    snapshot() {
+        return { ...super.snapshot(), binary: true };
+    }
+}
+
+class LeftistHeap extends BinaryTreeHeap {
+    createNode(value) {
+        const node = super.createNode(value);
+        node.npl = 0; // Null-path length: shortest distance to a missing child
+        return node;
+    }
+
+    // npl of a missing child is -1, so a leaf has npl 0
+    npl(node) { return node ? node.npl : -1; }
+
+    fixChildren(node) {
+        const [left, right] = node.children;
+        if (this.npl(left) < this.npl(right)) {
+            this.swapChildren(node);
+            node.npl = this.npl(left) + 1;
+            this.emit('swapChildren', { i: node.id, npl: node.npl });
+        } else {
+            node.npl = this.npl(right) + 1;
+            this.emit('npl', { i: node.id, npl: node.npl });
+        }
+    }
+
+    nodeBadge(node) { return `npl ${node.npl}`; }
+}
+
+class SkewHeap extends BinaryTreeHeap {
+    // No balance information: every node on the merge path swaps its children
+    fixChildren(node) {
+        this.swapChildren(node);
+        this.emit('swapChildren', { i: node.id });
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { ForestNode, ForestHeap, BinomialHeap, FibonacciHeap, LeftistHeap, SkewHeap };
+}
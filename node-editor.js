@@ -0,0 +1,165 @@
+//=============================================================================
+// NODE EDITING
+// Click a node of the Max/Min Heap to type a new value, or drag it onto
+// another node to swap the two. Edits ignore the heap property on purpose:
+// drawEdges paints violating edges red and Repair sifts the heap back.
+//=============================================================================
+const DRAG_THRESHOLD = 5; // Pixels a press has to move before it is a drag
+let nodeDrag = null; // { index, nodeDiv, startX, startY, moved } while the mouse is down
+
+function nodeIndexOf(nodeDiv) {
+    return parseInt(nodeDiv.id.slice('node-'.length));
+}
+
+// Edits go to the live heap, so the tree has to show it: not while a step
+// animates and not while the player is stepped back to an earlier state
+function canEditNodes() {
+    return currentHeap instanceof BaseHeap && !isBusy() && player.atEnd;
+}
+
+const REWOUND_EDIT_MESSAGE = "Step forward to the end of the operation to edit nodes.";
+
+// Index of the node drawn under a point in page coordinates, if any
+function nodeIndexAt(clientX, clientY, except) {
+    const { x, y } = clientToWorld(clientX, clientY);
+    for (let i = 1; i < positions.length; i++) {
+        if (i === except || !positions[i]) continue;
+        if (Math.hypot(positions[i].x - x, positions[i].y - y) <= NODE_RADIUS) return i;
+    }
+    return null;
+}
+
+function violationSummary() {
+    const count = currentHeap.findViolations().length;
+    if (count === 0) return 'The heap property still holds.';
+    return `${count} edge${count === 1 ? '' : 's'} now violate${count === 1 ? 's' : ''} the heap property. Press Repair to fix the heap.`;
+}
+
+
+//=============================================================================
+// INLINE VALUE EDITOR
+// An input laid over the clicked node. Enter applies the value, Escape or
+// leaving the field cancels. Any redraw of the nodes removes it as well.
+//=============================================================================
+function openNodeEditor(index) {
+    closeNodeEditor();
+    const pos = positions[index];
+    if (!pos) return;
+
+    const input = document.createElement('input');
+    input.id = 'nodeEditor';
+    input.className = 'node-editor';
+    input.value = String(currentHeap.heap[index]);
+    input.style.left = `${pos.x - NODE_RADIUS}px`;
+    input.style.top = `${pos.y - NODE_RADIUS}px`;
+    input.addEventListener('keydown', event => {
+        if (event.key === 'Enter') commitNodeEdit(index, input.value);
+        if (event.key === 'Escape') closeNodeEditor();
+    });
+    input.addEventListener('blur', closeNodeEditor);
+
+    nodeContainer.appendChild(input);
+    input.focus();
+    input.select();
+}
+
+function closeNodeEditor() {
+    const input = document.getElementById('nodeEditor');
+    if (input) input.remove();
+}
+
+async function commitNodeEdit(index, text) {
+    const value = parseValue(text);
+    if (value === null) return showMessage("Value cannot be empty.", true);
+    const problem = valueError(value);
+    if (problem) return showMessage(problem, true);
+
+    closeNodeEditor();
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    if (String(value) === String(currentHeap.heap[index])) return;
+
+    await runOperation(currentHeap, heap => heap.replace(index, value), `Edit index ${index}`);
+    showMessage(`Index ${index} is now ${value}. ${violationSummary()}`, currentHeap.findViolations().length > 0);
+}
+
+
+//=============================================================================
+// DRAG TO SWAP
+//=============================================================================
+// Large heaps have no node divs; their canvas nodes can be clicked but not dragged
+function handleNodeMouseDown(event) {
+    if (event.button !== 0) return;
+    const nodeDiv = event.target.closest('.node');
+    let index = nodeDiv ? nodeIndexOf(nodeDiv) : null;
+    if (!nodeDiv && usesCanvasNodes(renderedTree)) index = nodeIndexAt(event.clientX, event.clientY);
+    if (index === null) return;
+    if (!canEditNodes()) {
+        if (currentHeap instanceof BaseHeap && !isBusy()) showMessage(REWOUND_EDIT_MESSAGE, true);
+        return;
+    }
+    event.preventDefault();
+    nodeDrag = {
+        index,
+        nodeDiv,
+        startX: event.clientX,
+        startY: event.clientY,
+        left: nodeDiv ? parseFloat(nodeDiv.style.left) : 0,
+        top: nodeDiv ? parseFloat(nodeDiv.style.top) : 0,
+        moved: false
+    };
+}
+
+function handleNodeMouseMove(event) {
+    if (!nodeDrag) return;
+    const dx = event.clientX - nodeDrag.startX;
+    const dy = event.clientY - nodeDrag.startY;
+    if (!nodeDrag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+    nodeDrag.moved = true;
+    if (!nodeDrag.nodeDiv) return;
+
+    // The node follows the mouse without its fly-in transition
+    const zoom = treeViewport.zoom;
+    nodeDrag.nodeDiv.classList.add('node-dragging');
+    nodeDrag.nodeDiv.style.left = `${nodeDrag.left + dx / zoom}px`;
+    nodeDrag.nodeDiv.style.top = `${nodeDrag.top + dy / zoom}px`;
+}
+
+async function handleNodeMouseUp(event) {
+    if (!nodeDrag) return;
+    const { index, nodeDiv, moved } = nodeDrag;
+    nodeDrag = null;
+
+    if (!moved) return openNodeEditor(index);
+    if (!nodeDiv) return;
+
+    nodeDiv.classList.remove('node-dragging');
+    const target = nodeIndexAt(event.clientX, event.clientY, index);
+    if (target === null || !canEditNodes()) {
+        // Dropped on empty space: fly back
+        return renderState(captureState(currentHeap));
+    }
+
+    await runOperation(currentHeap, heap => heap.swap(index, target), `Swap index ${index} and ${target}`);
+    showMessage(`Swapped ${currentHeap.heap[target]} and ${currentHeap.heap[index]}. ${violationSummary()}`,
+        currentHeap.findViolations().length > 0);
+}
+
+
+//=============================================================================
+// REPAIR
+//=============================================================================
+async function repairHeapHandler() {
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    if (!requireArrayHeap("Repair")) return;
+    const count = currentHeap.findViolations().length;
+    if (count === 0) return showMessage("The heap is already valid.");
+
+    await runOperation(currentHeap, heap => heap.repair(), 'Repair heap');
+    showMessage(`Repaired ${count} violating edge${count === 1 ? '' : 's'}.`);
+}
+
+window.addEventListener('load', () => {
+    nodeContainer.addEventListener('mousedown', handleNodeMouseDown);
+    document.addEventListener('mousemove', handleNodeMouseMove);
+    document.addEventListener('mouseup', handleNodeMouseUp);
+});
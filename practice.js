@@ -0,0 +1,262 @@
+//=============================================================================
+// PRACTICE MODE
+// The app picks a random operation on the current Max/Min Heap and the
+// learner performs the sift by clicking the two nodes of every swap. Each
+// pair is checked against the path heap.js takes for the same operation;
+// wrong moves are explained and reset the streak.
+//=============================================================================
+let practice = null; // Active task, see createPracticeTask()
+const practiceStats = { score: 0, streak: 0, best: 0, mistakes: 0 };
+
+
+//=============================================================================
+// TASK SETUP
+// The operation runs on a copy of the heap first. Its swap steps are the
+// answer key and the state right before the first swap is what the learner
+// starts from.
+//=============================================================================
+const randomPracticeValue = () => String(1 + Math.floor(Math.random() * 99));
+
+function createPracticeTask(heap) {
+    const size = heap.values().length;
+    const kinds = size >= 2 ? ['insert', 'extract', 'changePriority'] : ['insert'];
+    const kind = kinds[Math.floor(Math.random() * kinds.length)];
+    const copy = heap.clone();
+    const last = size + 1;
+
+    let operation, label, intro, focus;
+    if (kind === 'insert') {
+        const value = randomPracticeValue();
+        operation = h => h.insert(value);
+        label = `Insert ${value}`;
+        intro = `${value} was appended at index ${last}.`;
+        focus = last;
+    } else if (kind === 'extract') {
+        const root = heap.heap[1];
+        operation = h => h.extract();
+        label = `Extract ${currentHeapType === 'MaxHeap' ? 'Max' : 'Min'}`;
+        intro = `${root} was removed and the last element ${heap.heap[size]} moved to the root.`;
+        focus = 1;
+    } else {
+        const index = 1 + Math.floor(Math.random() * size);
+        const value = randomPracticeValue();
+        operation = h => h.changePriority(index, value);
+        label = `Change index ${index} to ${value}`;
+        intro = `The key at index ${index} changed from ${keyOf(heap.heap[index])} to ${value}.`;
+        focus = index;
+    }
+
+    const { steps } = recordTrace(copy, operation);
+    const firstSwap = steps.findIndex(step => step.type === 'swap');
+    let start = steps[steps.length - 1];
+    if (firstSwap === 0) start = captureState(heap);
+    if (firstSwap > 0) start = steps[firstSwap - 1];
+
+    return {
+        label,
+        intro,
+        heap: start.heap.slice(),
+        sequence: start.sequence && start.sequence.slice(), // Insertion numbers of a stable heap
+        swaps: steps.filter(step => step.type === 'swap').map(({ i, j }) => ({ parent: i, child: j })),
+        next: 0,        // Index into swaps of the move the learner has to make
+        focus,          // Index of the element being sifted
+        selected: null, // First clicked node of the current move
+        animating: false,
+        result: copy    // Heap after the operation, adopted when the task is solved
+    };
+}
+
+
+//=============================================================================
+// MOVE CHECKING
+// Explanations compare the learner's pair with the expected one, e.g.
+// "child 14 is larger than sibling 11" for a sift-down into the wrong child.
+//=============================================================================
+function practiceValue(index) {
+    return `${practice.heap[index]} (i=${index})`;
+}
+
+function isParentChild(a, b) {
+    return parent(b, currentHeap.d) === a || parent(a, currentHeap.d) === b;
+}
+
+// Why the pair (a, b) is not the next swap
+function explainWrongMove(a, b) {
+    const isMax = currentHeapType === 'MaxHeap';
+    const bigger = isMax ? 'larger' : 'smaller';
+    const expected = practice.swaps[practice.next];
+    const focus = practice.focus;
+
+    if (!isParentChild(a, b)) {
+        return `${practiceValue(a)} and ${practiceValue(b)} are not parent and child; only those can be swapped.`;
+    }
+    if (!expected) {
+        return `No swap is needed: ${practiceValue(focus)} is in order with its parent and children. Press Heap Is Valid.`;
+    }
+    if (a !== focus && b !== focus) {
+        return `Keep following ${practiceValue(focus)}: it is the element being sifted, the rest of the heap is in order.`;
+    }
+
+    const other = a === focus ? b : a;
+    const movingUp = expected.child === focus;
+    if (other === (movingUp ? expected.parent : expected.child)) return null;
+    if (movingUp) {
+        return `${practiceValue(focus)} has to move up: compare it with its parent ${practiceValue(expected.parent)}.`;
+    }
+    if (other === parent(focus, currentHeap.d)) {
+        return `${practiceValue(focus)} has to move down: its parent ${practiceValue(other)} is already ${bigger}.`;
+    }
+    // Either child of a tie keeps the heap valid; heap.js takes the first one
+    if (compareValues(practice.heap[other], practice.heap[expected.child], keyType) === 0) {
+        const rule = stableTies ? 'the one inserted first (smaller subscript)' : 'the one at the lower index';
+        return `children ${practiceValue(expected.child)} and ${practiceValue(other)} have equal keys. ` +
+            `Either swap would keep the heap valid, but on a tie ${rule} moves up, so swap with index ${expected.child}.`;
+    }
+    return `child ${practice.heap[expected.child]} is ${bigger} than sibling ${practice.heap[other]}, so it moves up instead.`;
+}
+
+// Why the heap is not valid yet, for an early "Heap Is Valid"
+function explainPendingSwap() {
+    const { parent: p, child: c } = practice.swaps[practice.next];
+    const relation = currentHeapType === 'MaxHeap' ? 'smaller' : 'larger';
+    return `Not yet: parent ${practiceValue(p)} is ${relation} than child ${practiceValue(c)}.`;
+}
+
+function scoreMove(correct, feedback) {
+    if (correct) {
+        practiceStats.score++;
+        practiceStats.streak++;
+        practiceStats.best = Math.max(practiceStats.best, practiceStats.streak);
+    } else {
+        practiceStats.mistakes++;
+        practiceStats.streak = 0;
+    }
+    showPracticeFeedback(feedback, !correct);
+    updatePracticeStats();
+}
+
+
+//=============================================================================
+// PRACTICE RENDERING
+//=============================================================================
+function renderPractice() {
+    updateVisualization(true, practice.heap, practice.heap.length, practice.sequence);
+    // renderNodes keeps extra classes on reused nodes
+    nodeContainer.querySelectorAll('.node-highlight-practice-selected')
+        .forEach(node => node.classList.remove('node-highlight-practice-selected'));
+    if (practice.selected !== null) highlightNode(practice.selected, 'practice-selected');
+}
+
+function updatePracticeStats() {
+    const { score, streak, best, mistakes } = practiceStats;
+    document.getElementById('practiceScore').textContent =
+        `Score ${score} · Streak ${streak} · Best streak ${best} · Mistakes ${mistakes}`;
+}
+
+function showPracticeFeedback(text, isError = false) {
+    const box = document.getElementById('practiceFeedback');
+    box.textContent = text;
+    box.classList.toggle('text-red-700', isError);
+    box.classList.toggle('text-emerald-700', !isError);
+}
+
+function updatePracticeControls() {
+    const active = practice !== null;
+    document.getElementById('practiceValidBtn').disabled = !active;
+    document.getElementById('practiceStopBtn').disabled = !active;
+    scrollContainer.classList.toggle('practice-mode', active);
+}
+
+
+//=============================================================================
+// PRACTICE EVENT HANDLERS
+//=============================================================================
+function startPracticeHandler() {
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    if (!requireArrayHeap("Practice mode")) return;
+    if (usesCanvasNodes(currentHeap.heap)) {
+        return showMessage(`Practice needs a heap of at most ${LARGE_HEAP_NODES} values.`, true);
+    }
+    if (!['auto', 'numeric'].includes(keyType)) {
+        return showMessage("Practice uses random numbers. Switch the key type to Auto or Numeric.", true);
+    }
+
+    currentHeap.restoreSorted();
+    practice = createPracticeTask(currentHeap);
+    activeDemo = 'Practice';
+    renderPractice();
+    updatePracticeControls();
+
+    document.getElementById('practiceTask').textContent =
+        `${practice.label}: ${practice.intro} Click the two nodes of each swap, then press Heap Is Valid.`;
+    showPracticeFeedback('');
+}
+
+async function handlePracticeClick(event) {
+    if (practice === null || practice.animating) return;
+    const nodeDiv = event.target.closest('.node');
+    if (!nodeDiv) return;
+    const index = parseInt(nodeDiv.id.slice('node-'.length));
+
+    if (practice.selected === null || practice.selected === index) {
+        practice.selected = practice.selected === index ? null : index;
+        renderPractice();
+        return;
+    }
+
+    const first = practice.selected;
+    practice.selected = null;
+    renderPractice();
+    const problem = explainWrongMove(first, index);
+    if (problem) return scoreMove(false, problem);
+
+    // Correct: animate the swap, then continue from the other index
+    practice.animating = true;
+    await animateSwap(first, index);
+    [practice.heap[first], practice.heap[index]] = [practice.heap[index], practice.heap[first]];
+    if (practice.sequence) {
+        [practice.sequence[first], practice.sequence[index]] = [practice.sequence[index], practice.sequence[first]];
+    }
+    practice.focus = practice.focus === first ? index : first;
+    practice.next++;
+    practice.animating = false;
+    renderPractice();
+    scoreMove(true, `Correct: swapped ${practiceValue(index)} and ${practiceValue(first)}.`);
+}
+
+function practiceValidHandler() {
+    if (practice === null || practice.animating) return;
+    if (practice.next < practice.swaps.length) return scoreMove(false, explainPendingSwap());
+
+    // Solved: the heap after the operation becomes the current heap
+    const { label, result, swaps } = practice;
+    practice = null;
+    activeDemo = null;
+    currentHeap = result;
+    recordHistory(`Practice: ${label}`);
+    player.load(captureState(currentHeap), [], `Practice: ${label}`);
+    updatePracticeControls();
+    document.getElementById('practiceTask').textContent = 'Solved! Start another task when you are ready.';
+    scoreMove(true, `Correct: the heap is valid after ${swaps.length} swap${swaps.length === 1 ? '' : 's'}.`);
+}
+
+function stopPracticeHandler() {
+    if (practice === null || practice.animating) return;
+    practice = null;
+    activeDemo = null;
+    renderState(player.snapshot());
+    updatePracticeControls();
+    document.getElementById('practiceTask').textContent = 'Task abandoned. The heap was left unchanged.';
+    showPracticeFeedback('');
+}
+
+window.addEventListener('load', () => {
+    nodeContainer.addEventListener('click', handlePracticeClick);
+    updatePracticeStats();
+    updatePracticeControls();
+});
+
+// script.js redraws the player state on resize; draw the task over it
+window.addEventListener('resize', () => {
+    if (practice !== null && !practice.animating) renderPractice();
+});
@@ -0,0 +1,403 @@
+//=============================================================================
+// PSEUDOCODE PANEL
+// Shows the code of the operation being played, with the line of the current
+// step highlighted and the variables of that moment (index, largest, left,
+// right, ...). Lines are matched to the recorded heap events, so heap.js
+// stays free of any display logic. Max/Min variants follow the heap type.
+//=============================================================================
+const PSEUDOCODE_LANGUAGES = { pseudo: 'Pseudocode', python: 'Python', java: 'Java' };
+
+// Functions listed for each kind of operation, entry point first
+const PSEUDOCODE_PROGRAMS = {
+    insert: ['insert'],
+    extract: ['extract', 'heapify'],
+    delete: ['deleteAtIndex', 'restoreHeap', 'heapify'],
+    changePriority: ['changePriority', 'restoreHeap', 'heapify'],
+    build: ['build', 'repair', 'heapify'],
+    repair: ['repair', 'heapify'],
+    sort: ['sort', 'heapify']
+};
+
+// [line id, text] per line. Only lines with an id are ever highlighted.
+// {best} is largest/smallest, {better} the operator by which a child beats
+// its parent and {worse} the one by which a parent loses to its child.
+const PSEUDOCODE_SOURCES = {
+    pseudo: {
+        insert: [
+            ['', 'insert(value):'],
+            ['append', '    A[n + 1] ← value; n ← n + 1; index ← n'],
+            ['', '    while index > 1:'],
+            ['siftCompare', '        parentIndex ← ⌊(index − 2) / d⌋ + 1; if A[parentIndex] {worse} A[index]:'],
+            ['siftSwap', '            swap A[parentIndex], A[index]; index ← parentIndex'],
+            ['', '        else: break']
+        ],
+        extract: [
+            ['', 'extract():'],
+            ['', '    if n = 0: return null'],
+            ['', '    top ← A[1]'],
+            ['removeRoot', '    A[1] ← A[n]; n ← n − 1'],
+            ['', '    heapify(1)'],
+            ['', '    return top']
+        ],
+        deleteAtIndex: [
+            ['', 'deleteAtIndex(index):'],
+            ['swapLast', '    swap A[index], A[n]'],
+            ['pop', '    n ← n − 1'],
+            ['', '    if index ≤ n: restoreHeap(index)']
+        ],
+        changePriority: [
+            ['', 'changePriority(index, key):'],
+            ['update', '    A[index] ← key'],
+            ['', '    restoreHeap(index)']
+        ],
+        restoreHeap: [
+            ['', 'restoreHeap(index):'],
+            ['check', '    if index > 1 and A[parent(index)] {worse} A[index]:'],
+            ['', '        while index > 1:'],
+            ['upCompare', '            parentIndex ← parent(index); if A[parentIndex] {worse} A[index]:'],
+            ['upSwap', '                swap A[parentIndex], A[index]; index ← parentIndex'],
+            ['', '            else: break'],
+            ['', '    else: heapify(index)']
+        ],
+        build: [
+            ['', 'build(values):'],
+            ['load', '    A ← values; n ← |values|'],
+            ['', '    repair()']
+        ],
+        repair: [
+            ['', 'repair():'],
+            ['', '    for index ← parent(n) downto 1: heapify(index)']
+        ],
+        sort: [
+            ['', 'sort():'],
+            ['', '    for end ← n downto 2:'],
+            ['sortSwap', '        swap A[1], A[end]'],
+            ['sorted', '        n ← end − 1   // A[end] is final'],
+            ['', '        heapify(1)']
+        ],
+        heapify: [
+            ['', 'heapify(index):'],
+            ['', '    {best} ← index'],
+            ['', '    left ← d·(index − 1) + 2; right ← min(d·index + 1, n)'],
+            ['', '    for child ← left to right:'],
+            ['compare', '        if A[child] {better} A[{best}]: {best} ← child'],
+            ['', '    if {best} ≠ index:'],
+            ['swap', '        swap A[index], A[{best}]; heapify({best})']
+        ]
+    },
+    python: {
+        insert: [
+            ['', 'def insert(A, value):'],
+            ['append', '    A.append(value); index = len(A) - 1'],
+            ['', '    while index > 1:'],
+            ['siftCompare', '        parent_index = (index - 2) // d + 1\n        if A[parent_index] {worse} A[index]:'],
+            ['siftSwap', '            A[parent_index], A[index] = A[index], A[parent_index]\n            index = parent_index'],
+            ['', '        else:\n            break']
+        ],
+        extract: [
+            ['', 'def extract(A):'],
+            ['', '    if len(A) == 1:\n        return None'],
+            ['', '    top = A[1]'],
+            ['removeRoot', '    last = A.pop()\n    if len(A) > 1:\n        A[1] = last'],
+            ['', '        heapify(A, 1)'],
+            ['', '    return top']
+        ],
+        deleteAtIndex: [
+            ['', 'def delete_at_index(A, index):'],
+            ['swapLast', '    A[index], A[-1] = A[-1], A[index]'],
+            ['pop', '    A.pop()'],
+            ['', '    if index < len(A):\n        restore_heap(A, index)']
+        ],
+        changePriority: [
+            ['', 'def change_priority(A, index, key):'],
+            ['update', '    A[index] = key'],
+            ['', '    restore_heap(A, index)']
+        ],
+        restoreHeap: [
+            ['', 'def restore_heap(A, index):'],
+            ['check', '    if index > 1 and A[parent(index)] {worse} A[index]:'],
+            ['', '        while index > 1:'],
+            ['upCompare', '            parent_index = parent(index)\n            if A[parent_index] {worse} A[index]:'],
+            ['upSwap', '                A[parent_index], A[index] = A[index], A[parent_index]\n                index = parent_index'],
+            ['', '            else:\n                break'],
+            ['', '    else:\n        heapify(A, index)']
+        ],
+        build: [
+            ['', 'def build(values):'],
+            ['load', '    A = [None] + list(values)'],
+            ['', '    repair(A)\n    return A']
+        ],
+        repair: [
+            ['', 'def repair(A):'],
+            ['', '    for index in range(parent(len(A) - 1), 0, -1):\n        heapify(A, index)']
+        ],
+        sort: [
+            ['', 'def sort(A):'],
+            ['', '    for end in range(len(A) - 1, 1, -1):'],
+            ['sortSwap', '        A[1], A[end] = A[end], A[1]'],
+            ['sorted', '        n = end - 1  # A[end] is final'],
+            ['', '        heapify(A, 1, n)']
+        ],
+        heapify: [
+            ['', 'def heapify(A, index, n=None):'],
+            ['', '    n = len(A) - 1 if n is None else n\n    {best} = index'],
+            ['', '    left, right = d * (index - 1) + 2, min(d * index + 1, n)'],
+            ['', '    for child in range(left, right + 1):'],
+            ['compare', '        if A[child] {better} A[{best}]:\n            {best} = child'],
+            ['', '    if {best} != index:'],
+            ['swap', '        A[index], A[{best}] = A[{best}], A[index]\n        heapify(A, {best}, n)']
+        ]
+    },
+    java: {
+        insert: [
+            ['', 'void insert(T value) {'],
+            ['append', '    a[++n] = value; int index = n;'],
+            ['', '    while (index > 1) {'],
+            ['siftCompare', '        int parentIndex = (index - 2) / d + 1;\n        if (compare(a[parentIndex], a[index]) {worse} 0) {'],
+            ['siftSwap', '            swap(parentIndex, index);\n            index = parentIndex;'],
+            ['', '        } else break;\n    }\n}']
+        ],
+        extract: [
+            ['', 'T extract() {'],
+            ['', '    if (n == 0) return null;'],
+            ['', '    T top = a[1];'],
+            ['removeRoot', '    a[1] = a[n--];'],
+            ['', '    heapify(1);'],
+            ['', '    return top;\n}']
+        ],
+        deleteAtIndex: [
+            ['', 'void deleteAtIndex(int index) {'],
+            ['swapLast', '    swap(index, n);'],
+            ['pop', '    n--;'],
+            ['', '    if (index <= n) restoreHeap(index);\n}']
+        ],
+        changePriority: [
+            ['', 'void changePriority(int index, T key) {'],
+            ['update', '    a[index] = key;'],
+            ['', '    restoreHeap(index);\n}']
+        ],
+        restoreHeap: [
+            ['', 'void restoreHeap(int index) {'],
+            ['check', '    if (index > 1 && compare(a[parent(index)], a[index]) {worse} 0) {'],
+            ['', '        while (index > 1) {'],
+            ['upCompare', '            int parentIndex = parent(index);\n            if (compare(a[parentIndex], a[index]) {worse} 0) {'],
+            ['upSwap', '                swap(parentIndex, index);\n                index = parentIndex;'],
+            ['', '            } else break;\n        }'],
+            ['', '    } else heapify(index);\n}']
+        ],
+        build: [
+            ['', 'void build(T[] values) {'],
+            ['load', '    n = values.length; a = Arrays.copyOf(values, n + 1);\n    System.arraycopy(values, 0, a, 1, n);'],
+            ['', '    repair();\n}']
+        ],
+        repair: [
+            ['', 'void repair() {'],
+            ['', '    for (int index = parent(n); index >= 1; index--) heapify(index);\n}']
+        ],
+        sort: [
+            ['', 'void sort() {'],
+            ['', '    for (int end = n; end > 1; end--) {'],
+            ['sortSwap', '        swap(1, end);'],
+            ['sorted', '        n = end - 1; // a[end] is final'],
+            ['', '        heapify(1);\n    }\n}']
+        ],
+        heapify: [
+            ['', 'void heapify(int index) {'],
+            ['', '    int {best} = index;'],
+            ['', '    int left = d * (index - 1) + 2, right = Math.min(d * index + 1, n);'],
+            ['', '    for (int child = left; child <= right; child++)'],
+            ['compare', '        if (compare(a[child], a[{best}]) {better} 0) {best} = child;'],
+            ['', '    if ({best} != index) {'],
+            ['swap', '        swap(index, {best});\n        heapify({best});\n    }\n}']
+        ]
+    }
+};
+
+let pseudocodeLanguage = 'pseudo';
+let pseudocodeTrace = null; // { steps, program, isMax, annotations } of the last array operation
+
+
+//=============================================================================
+// STEP ANNOTATION
+// Walks a recorded trace and finds the function, line and variables behind
+// every event. A compare of a child with an earlier index is heapify's loop,
+// one of a parent with a later index is a sift-up; a swap follows the side
+// of the compare before it.
+//=============================================================================
+function pseudocodeProgramFor(steps) {
+    const [first, second] = steps;
+    if (!first) return null;
+    switch (first.type) {
+        case 'insert': return 'insert';
+        case 'remove': return first.extracted ? 'extract' : 'delete'; // Delete at index 1 removes i=1 too
+        case 'load': return 'build';
+        case 'update': return steps.length > 1 ? 'changePriority' : null; // A free edit does not restore anything
+        case 'compare': return first.i > first.j ? 'repair' : null;
+        case 'swap':
+            if (second && second.type === 'remove') return 'delete';
+            if (second && second.type === 'sorted') return 'sort';
+            return null; // Drag-to-swap
+        default: return null;
+    }
+}
+
+function annotateTrace(steps, program, isMax, d) {
+    const best = isMax ? 'largest' : 'smallest';
+    const childWins = result => isMax ? result > 0 : result < 0;
+    const siftUpLines = program === 'insert'
+        ? { compare: ['insert', 'siftCompare'], swap: ['insert', 'siftSwap'] }
+        : { compare: ['restoreHeap', 'upCompare'], swap: ['restoreHeap', 'upSwap'] };
+    let side = null;         // 'up' or 'down': the loop the last compare belonged to
+    let frame = null;        // Variables of the heapify call in progress
+    let checked = false;     // restoreHeap's first compare is the "sift up or down?" check
+
+    return steps.map((step, k) => {
+        const next = steps[k + 1];
+        const n = step.sortedFrom - 1;
+        switch (step.type) {
+            case 'insert':
+                return { fn: 'insert', line: 'append', vars: { index: step.i, n: step.i } };
+            case 'remove':
+                return program === 'extract'
+                    ? { fn: 'extract', line: 'removeRoot', vars: { n } }
+                    : { fn: 'deleteAtIndex', line: 'pop', vars: { n } };
+            case 'load':
+                return { fn: 'build', line: 'load', vars: { n } };
+            case 'update':
+                return { fn: 'changePriority', line: 'update', vars: { index: step.i } };
+            case 'sorted':
+                return { fn: 'sort', line: 'sorted', vars: { end: step.i } };
+            case 'compare':
+                if (step.i > step.j) {
+                    side = 'down';
+                    if (step.i === first_child(step.j, d)) {
+                        // First child compared with the node itself: a new heapify call
+                        frame = { index: step.j, [best]: step.j, left: step.i, right: Math.min(last_child(step.j, d), n) };
+                    }
+                    if (frame && childWins(step.result)) frame[best] = step.i;
+                    return { fn: 'heapify', line: 'compare', vars: { ...frame, child: step.i, n } };
+                }
+                side = 'up';
+                if (program !== 'insert' && !checked) {
+                    checked = true;
+                    return { fn: 'restoreHeap', line: 'check', vars: { index: step.j, parentIndex: step.i } };
+                }
+                return { fn: siftUpLines.compare[0], line: siftUpLines.compare[1], vars: { index: step.j, parentIndex: step.i } };
+            case 'swap':
+                if (next && next.type === 'sorted') return { fn: 'sort', line: 'sortSwap', vars: { end: step.j } };
+                if (next && next.type === 'remove') return { fn: 'deleteAtIndex', line: 'swapLast', vars: { index: step.i, n: step.j } };
+                if (side === 'down') return { fn: 'heapify', line: 'swap', vars: { ...frame, n } };
+                return { fn: siftUpLines.swap[0], line: siftUpLines.swap[1], vars: { index: step.i, parentIndex: step.i } }; // index ← parentIndex
+            default:
+                return null;
+        }
+    });
+}
+
+// Called by runOperation with every recorded operation; other heaps and
+// untraced operations leave the panel empty
+function loadPseudocode(heap, steps) {
+    const program = heap instanceof BaseHeap ? pseudocodeProgramFor(steps) : null;
+    if (!program) {
+        pseudocodeTrace = null;
+        return;
+    }
+    const isMax = heap instanceof MaxHeap;
+    pseudocodeTrace = { steps, program, isMax, annotations: annotateTrace(steps, program, isMax, heap.d) };
+}
+
+
+//=============================================================================
+// PSEUDOCODE RENDERING
+// The listing is rebuilt when another trace or language is shown; otherwise
+// only the highlight and the variables move with the player.
+//=============================================================================
+let renderedPseudocode = null; // Trace the listing was last built for
+
+function fillPseudocode(text, isMax) {
+    return text
+        .replace(/\{best\}/g, isMax ? 'largest' : 'smallest')
+        .replace(/\{better\}/g, isMax ? '>' : '<')
+        .replace(/\{worse\}/g, isMax ? '<' : '>');
+}
+
+// The trace in the player, if it is one the panel can follow
+function shownPseudocodeTrace() {
+    return pseudocodeTrace && player.steps === pseudocodeTrace.steps ? pseudocodeTrace : null;
+}
+
+// Called by the player before and after every step
+function updatePseudocode() {
+    const trace = shownPseudocodeTrace();
+    if (trace !== renderedPseudocode) renderPseudocode();
+    // Highlight the step being animated, or the last step shown
+    const k = player.busy ? player.position : player.position - 1;
+    const annotation = trace && k >= 0 ? trace.annotations[k] : null;
+    const current = annotation ? `${annotation.fn}.${annotation.line}` : null;
+    document.querySelectorAll('#pseudocodeListing .code-line').forEach(div => {
+        const active = div.dataset.line !== '' && div.dataset.line === current;
+        div.classList.toggle('code-line-current', active);
+        if (active) div.scrollIntoView({ block: 'nearest' });
+    });
+    renderPseudocodeVariables(annotation, annotation ? player.steps[k] : null);
+}
+
+function renderPseudocode() {
+    const trace = shownPseudocodeTrace();
+    const code = document.getElementById('pseudocodeListing');
+    const title = document.getElementById('pseudocodeTitle');
+    renderedPseudocode = trace;
+    code.textContent = '';
+    if (!trace) {
+        title.textContent = 'Run insert, extract, delete, change priority, build or heapsort to follow its code.';
+        return;
+    }
+
+    const sources = PSEUDOCODE_SOURCES[pseudocodeLanguage];
+    title.textContent = `${trace.isMax ? 'Max' : 'Min'} heap · ${PSEUDOCODE_LANGUAGES[pseudocodeLanguage]}`;
+    PSEUDOCODE_PROGRAMS[trace.program].forEach((fn, position) => {
+        if (position > 0) code.appendChild(document.createTextNode('\n'));
+        sources[fn].forEach(([line, text]) => {
+            const div = document.createElement('div');
+            div.className = 'code-line';
+            div.dataset.line = line ? `${fn}.${line}` : '';
+            div.textContent = fillPseudocode(text, trace.isMax);
+            code.appendChild(div);
+        });
+    });
+}
+
+// One row per variable, with the value stored at that index where it makes sense
+function renderPseudocodeVariables(annotation, state) {
+    const table = document.getElementById('pseudocodeVariables');
+    table.textContent = '';
+    if (!annotation) return;
+    Object.entries(annotation.vars).forEach(([name, value]) => {
+        const row = document.createElement('tr');
+        const key = document.createElement('td');
+        key.className = 'pr-3 font-semibold text-gray-700';
+        key.textContent = name;
+        const cell = document.createElement('td');
+        const stored = name !== 'n' && value >= 1 && value < state.heap.length ? ` (A[${value}] = ${state.heap[value]})` : '';
+        cell.textContent = `${value}${stored}`;
+        row.append(key, cell);
+        table.appendChild(row);
+    });
+}
+
+
+//=============================================================================
+// PSEUDOCODE EVENT HANDLERS
+//=============================================================================
+function handlePseudocodeLanguageChange() {
+    pseudocodeLanguage = document.getElementById('pseudocodeLanguage').value;
+    renderPseudocode();
+    updatePseudocode();
+}
+
+window.addEventListener('load', () => {
+    const select = document.getElementById('pseudocodeLanguage');
+    Object.entries(PSEUDOCODE_LANGUAGES).forEach(([value, label]) => select.add(new Option(label, value)));
+    select.addEventListener('change', handlePseudocodeLanguageChange);
+    updatePseudocode();
+});
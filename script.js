@@ -3,8 +3,9 @@
 // GLOBAL CONFIGURATION & STATE
 // Handles canvas references, animation settings, and current application state.
 //=============================================================================
-const ANIMATION_DELAY = 500; 
-let isAnimating = false;
+const ANIMATION_DELAY = 500; // Base step duration at 1x speed
+let animationSpeed = 1;      // Multiplier from the speed slider (0.25x - 4x)
+let instantMode = false;     // Skip animation and show only the final state
 
 // Canvas & Containers
 const canvas = document.getElementById('heapCanvas');
@@ -19,18 +20,28 @@ const MIN_NODE_SPACING = 60; // Minimum horizontal space between nodes
 
 // State
 let currentHeapType = 'MaxHeap';
+let branchingFactor = 2; // d children per node (2 = binary heap)
+let keyType = 'auto';    // Entry of KEY_TYPES (heap.js) that new heaps compare with
+let stableTies = false;  // New array heaps break ties by insertion order (FIFO)
 let currentHeap = null; // Initialized in window.onload
 let positions = []; 
+let renderedTree = [null]; // Tree part of the array drawn last, redrawn on pan/zoom
+let player = null; // TracePlayer, initialized in window.onload
+let activeDemo = null; // Name of a multi-operation demo (e.g. Dijkstra) driving the heap
+
+// Pointer-based heaps from mergeable-heap.js, drawn by forest.js instead of as an array
+const FOREST_HEAP_TYPES = ['BinomialHeap', 'FibonacciHeap', 'LeftistHeap', 'SkewHeap'];
+const BINARY_TREE_HEAP_TYPES = ['LeftistHeap', 'SkewHeap']; // No decrease-key; merge instead of meld
 
 
 //=============================================================================
 // HELPER UTILITIES
-// Mathematical formulas for tree indexing (1-based) and async sleep function.
+// Async sleep functions and input normalization. Tree index formulas, key
+// types and compareValues live in heap.js.
 //=============================================================================
 const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
-const parent = (index) => Math.floor(index / 2);
-const left_child = (index) => 2 * index;
-const right_child = (index) => 2 * index + 1;
+// Animation pauses go through here so the speed slider applies mid-operation
+const animationSleep = (ms) => instantMode ? Promise.resolve() : sleep(ms / animationSpeed);
 
 // NEW: Function to ensure all inserted values are treated as strings.
 function normalizeValue(input) {
@@ -39,303 +50,43 @@ function normalizeValue(input) {
     return trimmed; 
 }
 
-/**
- * FIX: Custom comparison function to handle numbers stored as strings correctly.
- * It attempts a numerical comparison first. If either value is not a pure number,
- * it falls back to the lexicographical (string) comparison.
- * @returns {number} 1 if a > b, -1 if a < b, 0 if a == b
- */
-function compareValues(a, b) {
-    // 1. Attempt Numerical Comparison
-    const numA = Number(a);
-    const numB = Number(b);
-
-    if (!isNaN(numA) && !isNaN(numB)) {
-        if (numA > numB) return 1;
-        if (numA < numB) return -1;
-        return 0;
-    } 
-    
-    // 2. Fallback to Lexicographical (String) Comparison
-    if (a > b) return 1;
-    if (a < b) return -1;
-    return 0;
-}
-
-
-//=============================================================================
-// BASE HEAP CLASS
-// Contains shared logic, primarily the complex 'swap' method which handles 
-// both data swapping and the CSS-based physical movement animation.
-//=============================================================================
-class BaseHeap {
-    constructor() {
-        this.heap = [null]; // Array used for 1-based indexing
-    }
-
-    async swap(i, j) {
-        // 1. Get the actual DOM elements currently at these indices
-        const nodeI = document.getElementById(`node-${i}`);
-        const nodeJ = document.getElementById(`node-${j}`);
-
-        // 2. Get the target coordinates from our calculated positions
-        const posI = positions[i];
-        const posJ = positions[j];
-
-        // 3. Highlight them
-        if (nodeI) highlightNode(i, 'swap');
-        if (nodeJ) highlightNode(j, 'swap');
-
-        // Wait a tiny bit for highlight
-        await sleep(100); 
-
-        // 4. VISUAL SWAP: Move the HTML elements to their new destinations
-        if (nodeI && nodeJ) {
-            // Move Node I to Position J
-            nodeI.style.left = `${posJ.x - NODE_RADIUS}px`;
-            nodeI.style.top = `${posJ.y - NODE_RADIUS}px`;
-
-            // Move Node J to Position I
-            nodeJ.style.left = `${posI.x - NODE_RADIUS}px`;
-            nodeJ.style.top = `${posI.y - NODE_RADIUS}px`;
-        }
-
-        // 5. Wait for CSS transition
-        await sleep(ANIMATION_DELAY);
-
-        // 6. LOGICAL SWAP: Update internal array
-        [this.heap[i], this.heap[j]] = [this.heap[j], this.heap[i]];
-
-        // 7. ID SWAP: Swap the HTML IDs so DOM matches internal array
-        if (nodeI && nodeJ) {
-            nodeI.id = `node-${j}`;
-            nodeJ.id = `node-${i}`;
-            
-            // Optional: Swap titles for hover accuracy
-            const tempTitle = nodeI.title;
-            nodeI.title = nodeJ.title;
-            nodeJ.title = tempTitle;
-        }
-
-        // 8. Update array display text
-        updateArrayDisplay();
+// Turns "3:taskA" into a PriorityItem; anything else stays a plain string
+function parseValue(input) {
+    const text = normalizeValue(input);
+    if (text === null) return null;
 
-        // 9. Remove highlights
-        unhighlightNode(i);
-        unhighlightNode(j);
-    }
-
-    peek() { return this.heap.length > 1 ? this.heap[1] : null; }
-    isEmpty() { return this.heap.length <= 1; }
-
-    // General delete logic (remains the same, uses internal heap array)
-    async deleteAtIndex(index) {
-        const size = this.heap.length - 1;
-        if (index < 1 || index > size) {
-            return { success: false, value: null };
-        }
-
-        isAnimating = true;
-        const deletedValue = this.heap[index]; 
-
-        // Special Case: Deleting the last element is easy
-        if (index === size) {
-            this.heap.pop();
-            isAnimating = false;
-            updateVisualization(true);
-            return { success: true, value: deletedValue };
-        }
-        
-        // 1. Swap the element to be deleted with the last element
-        await this.swap(index, size); 
-        
-        // 2. Remove the element from the end of the array
-        this.heap.pop(); 
-        
-        // 3. Restore the Heap property (logic handled by derived classes)
-        await this.restoreHeap(index);
-
-        isAnimating = false;
-        updateVisualization(true);
-        return { success: true, value: deletedValue };
-    }
+    const separator = text.indexOf(':');
+    if (separator <= 0 || separator === text.length - 1) return text;
+    return new PriorityItem(text.slice(0, separator).trim(), text.slice(separator + 1).trim());
 }
 
-//=============================================================================
-// MAX HEAP IMPLEMENTATION
-// Logic ensuring the parent node is always GREATER than its children.
-//=============================================================================
-class MaxHeap extends BaseHeap {
-    async insert(value) {
-        isAnimating = true;
-        this.heap.push(value);
-        let index = this.heap.length - 1;
-        
-        updateVisualization(true); 
-        highlightNode(index, 'insert');
-        await sleep(ANIMATION_DELAY);
-        unhighlightNode(index);
-
-        while (index > 1) {
-            const parentIndex = parent(index);
-            // FIX: Use compareValues. MaxHeap requires parent >= child.
-            // If compareValues < 0, it means parent < child, so swap.
-            if (compareValues(this.heap[parentIndex], this.heap[index]) < 0) {
-                await this.swap(parentIndex, index); 
-                index = parentIndex;
-            } else { break; }
-        }
-        isAnimating = false;
-        updateVisualization(true);
-    }
-
-    async heapify(index) {
-        let largest = index;
-        const left = left_child(index);
-        const right = right_child(index);
-        const n = this.heap.length;
-
-        // FIX: Use compareValues. largest < left means swap.
-        if (left < n && compareValues(this.heap[left], this.heap[largest]) > 0) largest = left;
-        // FIX: Use compareValues. largest < right means swap.
-        if (right < n && compareValues(this.heap[right], this.heap[largest]) > 0) largest = right;
-
-        if (largest !== index) {
-            await this.swap(index, largest);
-            await this.heapify(largest); 
-        }
-    }
-
-    async extract() {
-        if (this.isEmpty()) return null;
-        isAnimating = true;
-        const maxValue = this.heap[1];
-        
-        highlightNode(1, 'extract');
-        await sleep(ANIMATION_DELAY * 2);
-
-        if (this.heap.length === 2) {
-            this.heap.pop();
-        } else {
-            this.heap[1] = this.heap.pop();
-            // No animation for the replacement, we just rebuild and heapify down
-            updateVisualization(true); 
-            await this.heapify(1);
-        }
-        
-        isAnimating = false;
-        updateVisualization(true);
-        return maxValue;
-    }
-    
-    // Restore Heap Property (Comparison remains the same)
-    async restoreHeap(index) {
-        let currentIndex = index;
-        const parentIndex = parent(currentIndex);
-        
-        // FIX: Check if the node needs to sift UP (parent < child)
-        if (currentIndex > 1 && compareValues(this.heap[parentIndex], this.heap[currentIndex]) < 0) {
-            while (currentIndex > 1) {
-                const pIndex = parent(currentIndex);
-                // FIX: If parent < current, swap up.
-                if (compareValues(this.heap[pIndex], this.heap[currentIndex]) < 0) {
-                    await this.swap(pIndex, currentIndex); 
-                    currentIndex = pIndex;
-                } else { break; }
-            }
+// Splits a comma-separated list, keeping the commas inside tuples like (2,b)
+function splitValues(text) {
+    const parts = [''];
+    let depth = 0;
+    for (const char of text) {
+        if (char === '(') depth++;
+        if (char === ')') depth = Math.max(0, depth - 1);
+        if (char === ',' && depth === 0) {
+            parts.push('');
         } else {
-            // Otherwise, the node needs to sift DOWN
-            await this.heapify(index);
+            parts[parts.length - 1] += char;
         }
     }
+    return parts;
 }
 
-//=============================================================================
-// MIN HEAP IMPLEMENTATION
-// Logic ensuring the parent node is always SMALLER than its children.
-//=============================================================================
-class MinHeap extends BaseHeap {
-    async insert(value) {
-        isAnimating = true;
-        this.heap.push(value);
-        let index = this.heap.length - 1;
-
-        updateVisualization(true); 
-        highlightNode(index, 'insert');
-        await sleep(ANIMATION_DELAY);
-        unhighlightNode(index);
-
-        while (index > 1) {
-            const parentIndex = parent(index);
-            // FIX: Use compareValues. MinHeap requires parent <= child.
-            // If compareValues > 0, it means parent > child, so swap.
-            if (compareValues(this.heap[parentIndex], this.heap[index]) > 0) {
-                await this.swap(parentIndex, index);
-                index = parentIndex;
-            } else { break; }
-        }
-        isAnimating = false;
-        updateVisualization(true);
-    }
-
-    async heapify(index) {
-        let smallest = index;
-        const left = left_child(index);
-        const right = right_child(index);
-        const n = this.heap.length;
-
-        // FIX: Use compareValues. smallest > left means swap.
-        if (left < n && compareValues(this.heap[left], this.heap[smallest]) < 0) smallest = left;
-        // FIX: Use compareValues. smallest > right means swap.
-        if (right < n && compareValues(this.heap[right], this.heap[smallest]) < 0) smallest = right;
-
-        if (smallest !== index) {
-            await this.swap(index, smallest);
-            await this.heapify(smallest);
-        }
-    }
-
-    async extract() {
-        if (this.isEmpty()) return null;
-        isAnimating = true;
-        const minValue = this.heap[1];
-        
-        highlightNode(1, 'extract'); 
-        await sleep(ANIMATION_DELAY * 2);
-
-        if (this.heap.length === 2) {
-            this.heap.pop();
-        } else {
-            this.heap[1] = this.heap.pop();
-            updateVisualization(true);
-            await this.heapify(1);
-        }
-        
-        isAnimating = false;
-        updateVisualization(true);
-        return minValue;
-    }
-
-    // Restore Heap Property (Comparison remains the same)
-    async restoreHeap(index) {
-        let currentIndex = index;
-        const parentIndex = parent(currentIndex);
-        
-        // FIX: Check if the node needs to sift UP (parent > child)
-        if (currentIndex > 1 && compareValues(this.heap[parentIndex], this.heap[currentIndex]) > 0) {
-            while (currentIndex > 1) {
-                const pIndex = parent(currentIndex);
-                // FIX: If parent > current, swap up.
-                if (compareValues(this.heap[pIndex], this.heap[currentIndex]) > 0) {
-                    await this.swap(pIndex, currentIndex);
-                    currentIndex = pIndex;
-                } else { break; }
-            }
-        } else {
-            // Otherwise, the node needs to sift DOWN
-            await this.heapify(index);
-        }
+// Returns why a value cannot be used (it would not fit inside a node, or it
+// is not a valid key of the key type), or null if it is fine
+function valueError(value, type = keyType) {
+    const { label, maxLength } = KEY_TYPES[type];
+    if (value instanceof PriorityItem) {
+        if (value.priority.length > maxLength) return `Priority too long. Max ${maxLength} characters.`;
+        if (value.label.length > 8) return "Label too long. Max 8 characters.";
+    } else if (value.length > maxLength) {
+        return `Value too long. Max ${maxLength} characters.`;
     }
+    return parseKey(value, type) === null ? `"${keyOf(value)}" does not parse as ${label}.` : null;
 }
 
 
@@ -343,7 +94,11 @@ class MinHeap extends BaseHeap {
 // UI HELPERS
 // Small utilities for displaying toast messages and highlighting nodes.
 //=============================================================================
+let lastMessage = null; // { text, isError } of the latest toast, read by the command console
+
 function showMessage(text, isError = false) {
+    lastMessage = { text, isError };
+    announce(text);
     const box = document.getElementById('messageBox');
     box.textContent = text;
     box.className = 'message-box pointer-events-none opacity-100';
@@ -355,15 +110,17 @@ function showMessage(text, isError = false) {
 }
 
 function highlightNode(index, type) {
+    if (usesCanvasNodes(renderedTree)) return highlightCanvasNode(index, type);
     const nodeDiv = document.getElementById(`node-${index}`);
     if (!nodeDiv) return;
     nodeDiv.classList.add(`node-highlight-${type}`);
 }
 
 function unhighlightNode(index) {
+    if (usesCanvasNodes(renderedTree)) return unhighlightCanvasNode(index);
     const nodeDiv = document.getElementById(`node-${index}`);
     if (!nodeDiv) return;
-    nodeDiv.classList.remove('node-highlight-insert', 'node-highlight-swap', 'node-highlight-extract');
+    nodeDiv.classList.remove('node-highlight-insert', 'node-highlight-swap', 'node-highlight-extract', 'node-highlight-compare', 'node-highlight-sorted');
     nodeDiv.style.boxShadow = '0 2px 4px rgba(0,0,0,0.2)'; 
 }
 
@@ -371,57 +128,131 @@ function unhighlightNode(index) {
 // GEOMETRY & LAYOUT CALCULATION
 // Recursively calculates X/Y coordinates for every node based on tree depth.
 //=============================================================================
-function calculateNodePositions(width) {
-    positions = [null]; 
-    const heapArray = currentHeap.heap;
-    const size = heapArray.length - 1;
-    if (size <= 0) return;
+function calculateNodePositions(width, heapArray = currentHeap.heap, levels = Infinity) {
+    positions = layoutTree(width, heapArray.length - 1, currentHeap.d, levels);
+}
 
-    const center_x = width / 2;
-    
-    // Offset logic: start with 1/4 of width
-    function traverse_v2(index, level, x, horizontal_offset) {
-        if (index >= heapArray.length) return;
+// Positions of a d-ary tree with `size` nodes spread over `width` pixels
+function layoutTree(width, size, d, levels = Infinity) {
+    const layout = [null];
+    if (size <= 0) return layout;
 
-        const y = 50 + (level * LEVEL_HEIGHT);
-        positions[index] = { x, y };
+    // Each node is centered in its horizontal span, which is split into d equal
+    // slots for its children (for d = 2 this is the classic halving offset)
+    function traverse_v2(index, level, spanLeft, spanWidth) {
+        // Nodes below the visible levels get no position and are drawn collapsed
+        if (index > size || level >= levels) return;
 
-        const next_h_offset = horizontal_offset / 2;
+        const y = 50 + (level * LEVEL_HEIGHT);
+        layout[index] = { x: spanLeft + spanWidth / 2, y };
 
-        traverse_v2(left_child(index), level + 1, x - horizontal_offset, next_h_offset);
-        traverse_v2(right_child(index), level + 1, x + horizontal_offset, next_h_offset);
+        const slotWidth = spanWidth / d;
+        for (let k = 0; k < d; k++) {
+            traverse_v2(first_child(index, d) + k, level + 1, spanLeft + k * slotWidth, slotWidth);
+        }
     }
     
-    traverse_v2(1, 0, center_x, width / 4);
+    traverse_v2(1, 0, 0, width);
+    return layout;
+}
+
+// Number of levels in a complete d-ary tree holding `size` nodes
+function treeDepth(size, d) {
+    let depth = 0;
+    for (let levelEnd = 0, levelSize = 1; levelEnd < size; levelSize *= d) {
+        levelEnd += levelSize;
+        depth++;
+    }
+    return Math.max(depth, 1);
 }
 
 //=============================================================================
 // RENDERING & DRAWING
 // Functions to draw the connecting lines (edges) and create/update HTML nodes.
 //=============================================================================
-function drawEdges() {
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    ctx.strokeStyle = '#9ca3af'; 
-    ctx.lineWidth = 2;
+function drawEdges(heapArray = currentHeap.heap) {
+    beginTreeDrawing();
+    const view = visibleWorldRect();
 
-    for (let i = 1; i < currentHeap.heap.length; i++) {
-        const p = parent(i);
+    for (let i = 1; i < heapArray.length; i++) {
+        const p = parent(i, currentHeap.d);
         if (i > 1 && positions[i] && positions[p]) {
+            // Skip edges entirely left or right of the viewport
+            if (Math.max(positions[i].x, positions[p].x) < view.left) continue;
+            if (Math.min(positions[i].x, positions[p].x) > view.right) continue;
+            // Edges that break the heap property are drawn red
+            const violates = !currentHeap.isOrdered(heapArray[p], heapArray[i]);
+            ctx.strokeStyle = violates ? '#ef4444' : '#9ca3af';
+            ctx.lineWidth = violates ? 3 : 2;
             ctx.beginPath();
             ctx.moveTo(positions[p].x, positions[p].y + NODE_RADIUS); 
             ctx.lineTo(positions[i].x, positions[i].y - NODE_RADIUS);
             ctx.stroke();
         }
     }
+    drawCollapsedSubtrees(heapArray);
 }
 
-function updateArrayDisplay() {
-    document.getElementById('heapArrayDisplay').textContent = 
-        `[${currentHeap.heap.slice(1).join(', ')}]`;
+// Large heaps only list their first entries and child ranges
+const MAX_ARRAY_DISPLAY = 500;
+const MAX_CHILD_RANGES = 100;
+
+function updateArrayDisplay(heapArray = currentHeap.heap, sortedFrom = heapArray.length) {
+    const display = document.getElementById('heapArrayDisplay');
+    display.textContent = '[';
+    heapArray.slice(1, MAX_ARRAY_DISPLAY + 1).forEach((value, k) => {
+        const item = document.createElement('span');
+        item.textContent = value;
+        // Heapsort output stays visible but greyed out
+        if (k + 1 >= sortedFrom) item.classList.add('sorted-value');
+        if (isFindMatch(value)) item.classList.add('array-match');
+        if (k > 0) display.append(', ');
+        display.appendChild(item);
+    });
+    const hidden = heapArray.length - 1 - MAX_ARRAY_DISPLAY;
+    if (hidden > 0) display.append(`, … ${hidden} more`);
+    display.append(']');
+
+    // Child index range of every internal node, e.g. "1 → 2–4"
+    const d = currentHeap.d;
+    const size = sortedFrom - 1;
+    const ranges = [];
+    for (let i = 1; i <= MAX_CHILD_RANGES && i <= size && first_child(i, d) <= size; i++) {
+        const last = Math.min(last_child(i, d), size);
+        const range = first_child(i, d) === last ? `${last}` : `${first_child(i, d)}–${last}`;
+        ranges.push(`${i} (${heapArray[i]}) → ${range}`);
+    }
+    if (size >= first_child(MAX_CHILD_RANGES + 1, d)) ranges.push('…');
+    document.getElementById('heapChildRanges').textContent =
+        ranges.length > 0 ? `Children: ${ranges.join(' · ')}` : 'Children: none';
+}
+
+// Priority items show the priority with the payload label underneath
+function setNodeContent(nodeDiv, value) {
+    nodeDiv.textContent = '';
+    nodeDiv.classList.toggle('node-item', value instanceof PriorityItem);
+    // Dates and tuples may be longer than the usual 5 characters
+    nodeDiv.classList.toggle('node-long', String(keyOf(value)).length > 5);
+    if (!(value instanceof PriorityItem)) {
+        nodeDiv.textContent = value;
+        return;
+    }
+
+    const priority = document.createElement('span');
+    priority.textContent = value.priority;
+    const label = document.createElement('span');
+    label.className = 'node-label';
+    label.textContent = value.label;
+    nodeDiv.append(priority, label);
 }
 
-function renderNodes() {
-    const heapArray = currentHeap.heap;
+// sequence: insertion numbers of a stable heap, shown as subscripts (or null)
+function renderNodes(heapArray = currentHeap.heap, sequence = null) {
+    // Large heaps are painted on the canvas instead (viewport.js)
+    if (usesCanvasNodes(heapArray)) {
+        syncCanvasTreeAccess(heapArray);
+        return drawCanvasNodes(heapArray);
+    }
     const existingNodeIds = new Set();
 
     for (let i = 1; i < heapArray.length; i++) {
@@ -438,13 +269,21 @@ function renderNodes() {
             isNew = true;
         }
 
-        nodeDiv.textContent = heapArray[i];
+        setNodeContent(nodeDiv, heapArray[i]);
+        if (sequence) {
+            const order = document.createElement('sub');
+            order.className = 'node-sequence';
+            order.textContent = sequence[i];
+            nodeDiv.appendChild(order);
+        }
+        nodeDiv.classList.toggle('node-match', isFindMatch(heapArray[i]));
         // Crucial: Update position. 
         // If called during a swap animation, this might jump, 
         // but we usually call this at start/end of ops.
         nodeDiv.style.left = `${pos.x - NODE_RADIUS}px`;
         nodeDiv.style.top = `${pos.y - NODE_RADIUS}px`;
         nodeDiv.title = `Index: ${i}`;
+        labelArrayNode(nodeDiv, heapArray, i);
         
         nodeDiv.style.backgroundColor = '#6366f1'; 
         if (i === 1 && heapArray.length > 1) {
@@ -465,37 +304,763 @@ function renderNodes() {
             node.remove();
         }
     });
+    ensureFocusableNode(nodeContainer);
+    syncCanvasTreeAccess(heapArray);
+}
+
+// Physically moves the two node divs into each other's positions
+async function animateSwap(i, j) {
+    // 1. Get the actual DOM elements currently at these indices
+    const nodeI = document.getElementById(`node-${i}`);
+    const nodeJ = document.getElementById(`node-${j}`);
+
+    // 2. Get the target coordinates from our calculated positions
+    const posI = positions[i];
+    const posJ = positions[j];
+
+    // 3. Highlight them
+    if (nodeI) highlightNode(i, 'swap');
+    if (nodeJ) highlightNode(j, 'swap');
+
+    // Wait a tiny bit for highlight
+    await animationSleep(100); 
+
+    // 4. VISUAL SWAP: Move the HTML elements to their new destinations
+    if (nodeI && nodeJ) {
+        nodeI.style.left = `${posJ.x - NODE_RADIUS}px`;
+        nodeI.style.top = `${posJ.y - NODE_RADIUS}px`;
+        nodeJ.style.left = `${posI.x - NODE_RADIUS}px`;
+        nodeJ.style.top = `${posI.y - NODE_RADIUS}px`;
+    }
+
+    // 5. Wait for CSS transition
+    await animationSleep(ANIMATION_DELAY);
+
+    // 6. ID SWAP: Swap the HTML IDs so the DOM matches the array
+    if (nodeI && nodeJ) {
+        nodeI.id = `node-${j}`;
+        nodeJ.id = `node-${i}`;
+    }
+
+    // 7. Remove highlights
+    unhighlightNode(i);
+    unhighlightNode(j);
 }
 
 //=============================================================================
 // MAIN VISUALIZATION CONTROLLER
 // Coordinates the geometry calculation, resizing, and redrawing.
 //=============================================================================
-function updateVisualization(recalculatePositions = true) {
-    updateArrayDisplay();
+function updateVisualization(recalculatePositions = true, heapArray = currentHeap.heap, sortedFrom = heapArray.length, sequence = null) {
+    updateArrayDisplay(heapArray, sortedFrom);
+
+    // Sorted elements are detached from the tree
+    const treeArray = heapArray.slice(0, sortedFrom);
     
     if (recalculatePositions) {
-        const size = currentHeap.heap.length - 1;
-        // 1. Calculate Depth
-        const depth = size > 0 ? Math.floor(Math.log2(size)) + 1 : 1;
+        const size = treeArray.length - 1;
+        // 1. Calculate Depth (levels below the visible ones are collapsed)
+        const depth = Math.min(treeDepth(size, currentHeap.d), visibleLevels(size));
         
         // 2. Calculate Required Width based on leaves
-        const maxLeaves = Math.pow(2, depth - 1);
+        const maxLeaves = Math.pow(currentHeap.d, depth - 1);
         
         // 3. Calculate Width needed: Leaves * Minimum Spacing
         const containerWidth = scrollContainer.offsetWidth;
         const neededWidth = Math.max(containerWidth, maxLeaves * MIN_NODE_SPACING * 1.5);
         
-        // 4. Apply Width
-        canvas.width = neededWidth;
-        canvas.style.width = `${neededWidth}px`; 
+        // 4. Apply Width. The canvas itself only covers the viewport (viewport.js)
         nodeContainer.style.width = `${neededWidth}px`;
         
-        calculateNodePositions(neededWidth);
+        calculateNodePositions(neededWidth, treeArray, depth);
+        setTreeWorld(neededWidth, 50 + depth * LEVEL_HEIGHT);
     }
     
-    drawEdges();
-    renderNodes();
+    renderedTree = treeArray;
+    drawEdges(treeArray);
+    renderNodes(treeArray, sequence);
+    drawMinimap();
+}
+
+// Draws a recorded state ({ heap, sortedFrom, sequence }), e.g. a trace step
+function renderState(state) {
+    updateVisualization(true, state.heap, state.sortedFrom, state.sequence);
+}
+
+
+//=============================================================================
+// STEP-BY-STEP PLAYER
+// The renderer side of the heap events: records them into a trace and replays
+// it. Supports pause/resume and stepping forward (animated) or backward
+// (redraws the snapshot of the previous step).
+//=============================================================================
+function describeStep(step) {
+    const at = (i) => `${step.heap[i]} (i=${i})`;
+    switch (step.type) {
+        case 'compare': {
+            const sign = step.result > 0 ? '>' : step.result < 0 ? '<' : '=';
+            return `Compare ${at(step.i)} ${sign} ${at(step.j)}`;
+        }
+        // The snapshot is taken after the swap, so each value sits at the other index
+        case 'swap': return `Swap ${step.heap[step.j]} (i=${step.i}) ↔ ${step.heap[step.i]} (i=${step.j})`;
+        case 'insert': return `Place ${step.value} at index ${step.i}`;
+        case 'remove': return `Remove ${step.value} from index ${step.i}`;
+        case 'load': return `Load ${step.heap.length - 1} elements`;
+        case 'sorted': return `${step.value} is in its final place at index ${step.i}`;
+        case 'update': return `Change ${step.previous} to ${step.value} at index ${step.i}`;
+        default: return step.type;
+    }
+}
+
+// Shows the relation between two compared nodes midway between them
+function showCompareBadge(container, posA, posB, text) {
+    const badge = document.createElement('div');
+    badge.id = 'compare-badge';
+    badge.className = 'compare-badge';
+    badge.textContent = text;
+    badge.style.left = `${(posA.x + posB.x) / 2}px`;
+    badge.style.top = `${(posA.y + posB.y) / 2}px`;
+    container.appendChild(badge);
+}
+
+function removeCompareBadge() {
+    const badge = document.getElementById('compare-badge');
+    if (badge) badge.remove();
+}
+
+// Outlines both compared nodes and shows the relation between them midway
+function highlightComparison(step) {
+    highlightNode(step.i, 'compare');
+    highlightNode(step.j, 'compare');
+
+    const posI = positions[step.i];
+    const posJ = positions[step.j];
+    if (!posI || !posJ) return;
+
+    const sign = step.result > 0 ? '>' : step.result < 0 ? '<' : '=';
+    showCompareBadge(nodeContainer, posI, posJ, `${step.heap[step.i]} ${sign} ${step.heap[step.j]}`);
+}
+
+function clearComparison(step) {
+    unhighlightNode(step.i);
+    unhighlightNode(step.j);
+    removeCompareBadge();
+}
+
+// Applies the highlight of a step without animating it (used when jumping back)
+function highlightStep(step) {
+    if (step.type === 'compare') {
+        highlightComparison(step);
+    } else if (step.type === 'swap') {
+        highlightNode(step.i, 'swap');
+        highlightNode(step.j, 'swap');
+    } else if (step.type === 'insert' || step.type === 'update') {
+        highlightNode(step.i, 'insert');
+    }
+}
+
+async function animateStep(step) {
+    switch (step.type) {
+        case 'compare':
+            highlightComparison(step);
+            await animationSleep(ANIMATION_DELAY);
+            clearComparison(step);
+            break;
+        case 'swap':
+            await animateSwap(step.i, step.j);
+            break;
+        case 'insert':
+        case 'update':
+            renderState(step);
+            highlightNode(step.i, 'insert');
+            await animationSleep(ANIMATION_DELAY);
+            unhighlightNode(step.i);
+            break;
+        case 'remove':
+            highlightNode(step.i, 'extract');
+            await animationSleep(ANIMATION_DELAY * 2);
+            break;
+        case 'load':
+            renderState(step);
+            await animationSleep(ANIMATION_DELAY * 2);
+            break;
+        case 'sorted':
+            highlightNode(step.i, 'sorted');
+            await animationSleep(ANIMATION_DELAY);
+            break;
+    }
+    renderState(step);
+}
+
+// How the player captures, draws and describes states of the array heaps.
+// forest.js provides the same interface for the mergeable heaps.
+const arrayView = {
+    capture: captureState,
+    render: renderState,
+    animate: animateStep,
+    highlight: highlightStep,
+    describe: describeStep,
+    nodeLabel: (state, i) => `${state.heap[i]} (i=${i})`
+};
+
+class TracePlayer {
+    constructor() {
+        this.initial = { heap: [null], sortedFrom: 1 }; // State before the first step
+        this.steps = [];
+        this.view = arrayView; // Renderer for the states of the loaded trace
+        this.label = '';       // Operation name shown in the log
+        this.position = 0;     // Number of steps currently shown
+        this.running = false;  // True until play() reaches the end of the trace
+        this.paused = false;
+        this.busy = false;     // True while a single step is animating
+        this.resumeSignal = null;
+    }
+
+    get atEnd() { return this.position >= this.steps.length; }
+
+    // While active, the displayed tree does not match the heap and new operations must wait
+    get active() { return this.running || this.busy; }
+
+    // State (e.g. { heap, sortedFrom }) as it looks after `position` steps
+    snapshot(position = this.position) {
+        return position === 0 ? this.initial : this.steps[position - 1];
+    }
+
+    load(initial, steps, label, view = arrayView) {
+        this.initial = initial;
+        this.steps = steps;
+        this.view = view;
+        this.label = label;
+        this.position = 0;
+        this.paused = false;
+        startLogEntry(label);
+        view.render(initial);
+        updatePlayerControls();
+    }
+
+    async play() {
+        if (this.running) return;
+        this.running = true;
+        updatePlayerControls();
+
+        while (!this.atEnd) {
+            if (instantMode && !this.paused) {
+                this.skipToEnd();
+                break;
+            }
+            if (this.paused) {
+                await new Promise(resolve => { this.resumeSignal = resolve; });
+                continue;
+            }
+            await this.advance();
+        }
+
+        this.running = false;
+        this.paused = false;
+        updatePlayerControls();
+    }
+
+    async advance() {
+        if (this.busy || this.atEnd) return;
+        this.busy = true;
+        updatePseudocode(); // The code panel shows the step while it animates
+        announceStep(this.view.describe(this.steps[this.position]));
+        if (instantMode) {
+            this.view.render(this.steps[this.position]);
+            this.view.highlight(this.steps[this.position]);
+        } else {
+            await this.view.animate(this.steps[this.position]);
+        }
+        this.position++;
+        this.busy = false;
+        updatePlayerControls();
+    }
+
+    // Jumps straight to the final state without animating the remaining steps
+    skipToEnd() {
+        this.position = this.steps.length;
+        this.view.render(this.snapshot());
+        updatePlayerControls();
+    }
+
+    pause() {
+        this.paused = true;
+        updatePlayerControls();
+    }
+
+    resume() {
+        this.paused = false;
+        if (this.resumeSignal) {
+            this.resumeSignal();
+            this.resumeSignal = null;
+        } else if (!this.running && !this.atEnd) {
+            // Reviewing a finished trace: play the rest of it again
+            this.play();
+        }
+        updatePlayerControls();
+    }
+
+    async stepForward() {
+        if (this.running && !this.paused) this.pause();
+        await this.advance();
+        // Let a paused play() loop finish once the last step has been shown
+        if (this.atEnd && this.resumeSignal) this.resume();
+    }
+
+    stepBackward() {
+        if (this.running && !this.paused) this.pause();
+        if (this.busy || this.position === 0) return;
+        this.position--;
+        this.view.render(this.snapshot());
+        if (this.position > 0) this.view.highlight(this.steps[this.position - 1]);
+        updatePlayerControls();
+    }
+}
+
+function updatePlayerControls() {
+    const status = document.getElementById('stepStatus');
+    const total = player.steps.length;
+    if (total === 0) {
+        status.textContent = 'No operation recorded yet.';
+    } else if (player.position === 0) {
+        status.textContent = `Step 0 / ${total}: start`;
+    } else {
+        status.textContent = `Step ${player.position} / ${total}: ${player.view.describe(player.steps[player.position - 1])}`;
+    }
+
+    const isPlaying = player.running && !player.paused;
+    const playPauseBtn = document.getElementById('playPauseBtn');
+    playPauseBtn.textContent = isPlaying ? '⏸ Pause' : '▶ Play';
+    playPauseBtn.disabled = !isPlaying && player.atEnd;
+    document.getElementById('stepBackBtn').disabled = player.position === 0;
+    document.getElementById('stepForwardBtn').disabled = player.atEnd;
+
+    // The log and the code panel follow the player position, including steps backward
+    updateOperationLog();
+    updatePseudocode();
+}
+
+// Copy of the parts of a heap the renderer needs (insertion numbers only for stable heaps)
+function captureState(heap) {
+    return { heap: heap.heap.slice(), sortedFrom: heap.heapEnd(), sequence: heap.stable ? heap.sequence.slice() : null };
+}
+
+// The view that draws this kind of heap
+function viewFor(heap) {
+    return heap instanceof BaseHeap ? arrayView : forestView;
+}
+
+// Subscribes to the heap while the operation runs and keeps a snapshot per step
+function recordTrace(heap, operation, capture = captureState) {
+    const steps = [];
+    const unsubscribe = heap.subscribe(event => steps.push({ ...event, ...capture(heap) }));
+    try {
+        const result = operation(heap);
+        return { result, steps };
+    } finally {
+        unsubscribe();
+    }
+}
+
+// True while an operation or demo is still animating; handlers must wait
+function isBusy() {
+    return player.active || activeDemo !== null;
+}
+
+// Traces that would copy more array cells than this (steps x array length)
+// are not recorded; the operation just runs and shows its final state
+const MAX_TRACE_CELLS = 2000000;
+
+// Counts the steps of an operation on a throwaway copy of an array heap
+function traceCells(heap, operation) {
+    const copy = heap.clone();
+    const { steps } = recordTrace(copy, operation, () => ({}));
+    return { steps: steps.length, cells: steps.length * copy.heap.length };
+}
+
+// Records an operation on the given heap and plays it back
+async function runOperation(heap, operation, label) {
+    // Heapsort output is only kept on screen until the next operation, which
+    // starts from the heap with every sorted value back in it
+    if (heap instanceof BaseHeap) heap.restoreSorted();
+    const view = viewFor(heap);
+
+    // e.g. building a heap from thousands of values
+    const size = heap instanceof BaseHeap ? traceCells(heap, operation) : null;
+    if (size && size.cells > MAX_TRACE_CELLS) {
+        const result = operation(heap);
+        if (activeDemo === null) recordHistory(label);
+        loadPseudocode(heap, []);
+        player.load(view.capture(heap), [], `${label} (${size.steps} steps, too large to animate)`, view);
+        return result;
+    }
+
+    const initial = view.capture(heap);
+    const { result, steps } = recordTrace(heap, operation, view.capture);
+    // Demos record a single history entry once they finish
+    if (activeDemo === null) recordHistory(label);
+    loadPseudocode(heap, steps);
+    player.load(initial, steps, label, view);
+    await player.play();
+    return result;
+}
+
+
+//=============================================================================
+// OPERATION LOG
+// Side panel listing every step of each operation, with running totals of
+// comparisons and swaps for the operation being played.
+//=============================================================================
+const MAX_LOG_ENTRIES = 20;
+
+// A compare "causes" the next non-compare step if it acts on the same pair
+// (a swap, or a link or cut in the forest heaps); otherwise the pair is kept
+function compareOutcome(steps, k) {
+    const { i, j } = steps[k];
+    for (let next = k + 1; next < steps.length; next++) {
+        const step = steps[next];
+        if (step.type === 'compare') continue;
+        // Single-node steps (min pointer, right-spine descent) only answer the compare right before them
+        if (step.type === 'min' || step.type === 'descend') {
+            const answers = next === k + 1 && [i, j].includes(step.i);
+            return answers ? (step.type === 'min' ? 'new min' : 'descend') : 'keep';
+        }
+        const involved = [step.i, step.j, step.k];
+        const samePair = involved.includes(i) && involved.includes(j);
+        return samePair && ['swap', 'link', 'cut'].includes(step.type) ? step.type : 'keep';
+    }
+    return 'keep';
+}
+
+function logLine(steps, k) {
+    const step = steps[k];
+    if (step.type !== 'compare') return player.view.describe(step);
+    const at = (i) => player.view.nodeLabel(step, i);
+    return `compare ${at(step.i)} vs ${at(step.j)} → ${compareOutcome(steps, k)}`;
+}
+
+function countSteps(steps, upTo) {
+    const counts = { comparisons: 0, swaps: 0 };
+    for (let k = 0; k < upTo; k++) {
+        if (steps[k].type === 'compare') counts.comparisons++;
+        if (steps[k].type === 'swap') counts.swaps++;
+    }
+    return counts;
+}
+
+// Opens a new group in the log for the operation that is about to play
+function startLogEntry(label) {
+    const log = document.getElementById('operationLog');
+    const entry = document.createElement('li');
+    entry.className = 'log-entry';
+    entry.innerHTML = '<div class="log-entry-title"></div><ol class="log-steps"></ol>';
+    entry.querySelector('.log-entry-title').textContent = label;
+    log.appendChild(entry);
+
+    while (log.children.length > MAX_LOG_ENTRIES) log.firstElementChild.remove();
+}
+
+// Syncs the latest log group with the player position (appends or trims lines)
+function updateOperationLog() {
+    const entry = document.getElementById('operationLog').lastElementChild;
+    const counts = countSteps(player.steps, player.position);
+    document.getElementById('comparisonCount').textContent = counts.comparisons;
+    document.getElementById('swapCount').textContent = counts.swaps;
+    if (!entry) return;
+
+    const list = entry.querySelector('.log-steps');
+    while (list.children.length > player.position) list.lastElementChild.remove();
+    for (let k = list.children.length; k < player.position; k++) {
+        const line = document.createElement('li');
+        line.className = `log-step log-step-${player.steps[k].type}`;
+        line.textContent = logLine(player.steps, k);
+        list.appendChild(line);
+    }
+
+    entry.querySelector('.log-entry-title').textContent =
+        `${player.label} (${counts.comparisons} comparisons, ${counts.swaps} swaps)`;
+    const panel = document.getElementById('operationLog');
+    panel.scrollTop = panel.scrollHeight;
+}
+
+
+//=============================================================================
+// UNDO / REDO HISTORY
+// A copy of the heap (with its type and branching factor) is stored after
+// every operation. Undo, redo and the history list restore them instantly.
+//=============================================================================
+const MAX_HISTORY = 50;
+let historyEntries = [];
+let historyIndex = -1; // Entry matching the current heap
+
+function recordHistory(label) {
+    updateShareUrl();
+    // A new operation after undoing discards the redo branch
+    historyEntries = historyEntries.slice(0, historyIndex + 1);
+    historyEntries.push({ label, heapType: currentHeapType, heap: currentHeap.clone() });
+    if (historyEntries.length > MAX_HISTORY) historyEntries.shift();
+    historyIndex = historyEntries.length - 1;
+    renderHistory();
+}
+
+// Records the heap as it is now unless the current entry already holds it.
+// Demos that replace the heap call this first, so undo brings it back.
+function keepHeapInHistory(label) {
+    const entry = historyEntries[historyIndex];
+    const recorded = entry && entry.heapType === currentHeapType &&
+        String(heapValues(entry.heap)) === String(heapValues(currentHeap));
+    if (!recorded) recordHistory(label);
+}
+
+function restoreHistory(index) {
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    if (index < 0 || index >= historyEntries.length || index === historyIndex) return;
+
+    const entry = historyEntries[index];
+    const heap = entry.heap.clone();
+    currentHeapType = entry.heapType;
+    keyType = heap.keyType;
+    if (heap instanceof BaseHeap) {
+        branchingFactor = heap.d;
+        stableTies = heap.stable;
+    }
+    currentHeap = heap;
+    historyIndex = index;
+
+    syncHeapTypeControls();
+    document.getElementById('branchingFactor').value = branchingFactor;
+    const view = viewFor(heap);
+    player.load(view.capture(heap), [], `Restore: ${entry.label}`, view);
+    renderHistory();
+    updateShareUrl();
+}
+
+function renderHistory() {
+    const list = document.getElementById('historyList');
+    list.textContent = '';
+    historyEntries.forEach((entry, index) => {
+        const item = document.createElement('li');
+        item.className = 'history-entry';
+        if (index === historyIndex) item.classList.add('history-entry-current');
+        if (index > historyIndex) item.classList.add('history-entry-redo');
+        item.textContent = `${index + 1}. ${entry.label}`;
+        item.title = `[${heapValues(entry.heap).join(', ')}]`;
+        item.addEventListener('click', () => restoreHistory(index));
+        list.appendChild(item);
+    });
+
+    document.getElementById('undoBtn').disabled = historyIndex <= 0;
+    document.getElementById('redoBtn').disabled = historyIndex >= historyEntries.length - 1;
+    if (list.children[historyIndex]) list.children[historyIndex].scrollIntoView({ block: 'nearest' });
+}
+
+function undoHandler() {
+    restoreHistory(historyIndex - 1);
+}
+
+function redoHandler() {
+    restoreHistory(historyIndex + 1);
+}
+
+// Ctrl+Z undoes, Ctrl+Shift+Z or Ctrl+Y redoes (text fields keep their own undo)
+function handleHistoryKeys(event) {
+    if (!(event.ctrlKey || event.metaKey)) return;
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return;
+
+    const key = event.key.toLowerCase();
+    if (key === 'z' && !event.shiftKey) {
+        event.preventDefault();
+        undoHandler();
+    } else if ((key === 'z' && event.shiftKey) || key === 'y') {
+        event.preventDefault();
+        redoHandler();
+    }
+}
+
+
+//=============================================================================
+// SHARING: URL STATE & JSON IMPORT/EXPORT
+// The heap type, branching factor, key type, stable ties, array and speed settings live in the URL
+// hash, so a link reopens the exact same heap. JSON files carry the same
+// state. Both are loaded as-is (never re-heapified) and rejected with the
+// list of violating parent/child pairs if they are not a valid heap.
+// Binomial and Fibonacci heaps are stored as their values and rebuilt by
+// inserting them in order. Stable heaps number their entries in array order
+// again when loaded.
+//=============================================================================
+
+// Plain object describing the current heap, as stored in links and JSON files.
+// A heapsort's output is saved as the heap it goes back to.
+function exportHeapState() {
+    return {
+        type: currentHeapType,
+        d: branchingFactor,
+        keyType,
+        stable: stableTies,
+        heap: heapValues().map(String)
+    };
+}
+
+/**
+ * Validates an imported state object and rebuilds its values.
+ * @returns {{state: object|null, error: string|null}}
+ */
+function parseHeapState(data) {
+    if (!data || typeof data !== 'object') return { state: null, error: "Expected a JSON object." };
+    if (!['MaxHeap', 'MinHeap', ...FOREST_HEAP_TYPES].includes(data.type)) {
+        return { state: null, error: `Unknown heap type "${data.type}". Use one of ${['MaxHeap', 'MinHeap', ...FOREST_HEAP_TYPES].join(', ')}.` };
+    }
+    const d = Number(data.d === undefined ? 2 : data.d);
+    if (!Number.isInteger(d) || d < 2 || d > 6) {
+        return { state: null, error: "Branching factor d must be an integer from 2 to 6." };
+    }
+    // Files and links from before key types existed used the automatic guess
+    const type = data.keyType === undefined || data.keyType === null ? 'auto' : data.keyType;
+    if (!Object.hasOwn(KEY_TYPES, type)) {
+        return { state: null, error: `Unknown key type "${type}". Use one of ${Object.keys(KEY_TYPES).join(', ')}.` };
+    }
+    if (data.stable !== undefined && typeof data.stable !== 'boolean') {
+        return { state: null, error: "\"stable\" must be true or false." };
+    }
+    const stable = data.stable === true;
+    if (!Array.isArray(data.heap)) return { state: null, error: "\"heap\" must be an array of values." };
+
+    const values = data.heap.map(parseValue);
+    if (values.some(value => value === null)) return { state: null, error: "Heap values cannot be empty." };
+    const valueProblem = values.map(value => valueError(value, type)).find(error => error !== null);
+    if (valueProblem) return { state: null, error: valueProblem };
+    if (FOREST_HEAP_TYPES.includes(data.type)) return { state: { type: data.type, d, keyType: type, stable, values }, error: null };
+
+    // Check the exact layout instead of silently re-heapifying it
+    const heap = data.type === 'MaxHeap' ? new MaxHeap(d, type) : new MinHeap(d, type);
+    heap.load(values);
+    const violations = heap.findViolations();
+    if (violations.length > 0) {
+        const relation = data.type === 'MaxHeap' ? '<' : '>';
+        const pairs = violations.map(({ parent: p, child }) =>
+            `parent ${heap.heap[p]} (i=${p}) ${relation} child ${heap.heap[child]} (i=${child})`);
+        return { state: null, error: `Not a valid ${data.type}: ${pairs.join('; ')}.` };
+    }
+
+    return { state: { type: data.type, d, keyType: type, stable, values }, error: null };
+}
+
+// Loads a validated state exactly as given
+async function applyHeapState(state, label) {
+    currentHeapType = state.type;
+    branchingFactor = state.d;
+    keyType = state.keyType;
+    stableTies = state.stable;
+    syncHeapTypeControls();
+    document.getElementById('branchingFactor').value = branchingFactor;
+
+    const heap = createHeap();
+    currentHeap = heap;
+    await runOperation(heap, h => h.load(state.values), label);
+}
+
+function showImportError(text) {
+    const box = document.getElementById('importErrors');
+    box.textContent = text;
+    box.classList.toggle('hidden', text === '');
+}
+
+function updateShareUrl() {
+    const state = exportHeapState();
+    const params = new URLSearchParams({
+        type: state.type,
+        d: state.d,
+        key: state.keyType,
+        stable: state.stable ? 1 : 0,
+        heap: JSON.stringify(state.heap),
+        speed: animationSpeed,
+        instant: instantMode ? 1 : 0
+    });
+    history.replaceState(null, '', `#${params}`);
+}
+
+// Applies the state in the URL hash; returns false if there is none
+function loadStateFromUrl() {
+    if (location.hash.length <= 1) return false;
+    const params = new URLSearchParams(location.hash.slice(1));
+
+    // Settings first, so the initial load already uses them
+    const speed = Number(params.get('speed'));
+    if (speed >= 0.25 && speed <= 4) {
+        document.getElementById('speedSlider').value = Math.log2(speed);
+        handleSpeedChange();
+    }
+    if (params.get('instant') === '1') {
+        document.getElementById('instantMode').checked = true;
+        handleInstantToggle();
+    }
+
+    let heap;
+    try {
+        heap = JSON.parse(params.get('heap') || '[]');
+    } catch (error) {
+        showImportError("The link's heap array is not valid JSON.");
+        return false;
+    }
+
+    const { state, error } = parseHeapState({
+        type: params.get('type'), d: params.get('d'), keyType: params.get('key'), stable: params.get('stable') === '1', heap
+    });
+    if (error) {
+        showImportError(`Could not open the shared heap. ${error}`);
+        return false;
+    }
+    applyHeapState(state, `Open shared ${state.type} (${state.values.length} values)`);
+    return true;
+}
+
+async function copyLinkHandler() {
+    updateShareUrl();
+    try {
+        await navigator.clipboard.writeText(location.href);
+        showMessage("Link copied to clipboard.");
+    } catch (error) {
+        showMessage("Could not copy. Copy the address bar URL instead.", true);
+    }
+}
+
+// Saves a file through a temporary download link
+function downloadBlob(blob, filename) {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(link.href);
+}
+
+function exportJsonHandler() {
+    const json = JSON.stringify(exportHeapState(), null, 2);
+    downloadBlob(new Blob([json], { type: 'application/json' }), `${currentHeapType.toLowerCase()}.json`);
+}
+
+async function importJsonHandler(event) {
+    const file = event.target.files[0];
+    event.target.value = ''; // Allow importing the same file again
+    if (!file) return;
+    if (isBusy()) return showMessage("Wait for animation...", true);
+
+    let data;
+    try {
+        data = JSON.parse(await file.text());
+    } catch (error) {
+        showImportError(`${file.name} is not valid JSON.`);
+        return;
+    }
+
+    const { state, error } = parseHeapState(data);
+    if (error) {
+        showImportError(error);
+        return showMessage("Import failed. See the details below the array.", true);
+    }
+
+    showImportError('');
+    await applyHeapState(state, `Import ${file.name}`);
+    showMessage(`Imported ${state.values.length} values as a ${state.type}.`);
 }
 
 
@@ -504,18 +1069,19 @@ function updateVisualization(recalculatePositions = true) {
 // Functions triggered by user interactions (Buttons and Inputs).
 //=============================================================================
 async function insertElement() {
-    if (isAnimating) return showMessage("Wait for animation...", true);
+    if (isBusy()) return showMessage("Wait for animation...", true);
     const input = document.getElementById('insertValue');
     
-    // Use the new normalization function
-    const value = normalizeValue(input.value); 
+    // Use the new normalization function ("3:taskA" becomes a priority item)
+    const value = parseValue(input.value); 
     
     if (value === null) return showMessage("Input value cannot be empty.", true);
     
-    // Optional: Limit string length for node display
-    if (value.length > 5) return showMessage("Value too long. Max 5 characters.", true);
+    // Node display limits and the key type
+    const problem = valueError(value);
+    if (problem) return showMessage(problem, true);
     
-    await currentHeap.insert(value);
+    await runOperation(currentHeap, heap => heap.insert(value), `Insert ${value}`);
     showMessage(`Inserted ${value}`);
     // No need to set a random number, just clear or reset to default
     input.value = ''; 
@@ -523,14 +1089,58 @@ async function insertElement() {
 }
 
 async function extractElement() {
-    if (isAnimating) return showMessage("Wait for animation...", true);
-    if (currentHeap.isEmpty()) return showMessage("Heap is empty", true);
-    const extracted = await currentHeap.extract();
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    if (heapValues().length === 0) return showMessage("Heap is empty", true);
+    const extracted = await runOperation(currentHeap, heap => heap.extract(),
+        `Extract ${currentHeapType === 'MaxHeap' ? 'Max' : 'Min'}`);
     showMessage(`Extracted: ${extracted}`);
 }
 
+async function changePriorityHandler() {
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    if (!requireArrayHeap("Change priority at index")) return;
+    const indexInput = document.getElementById('priorityIndex');
+    const priorityInput = document.getElementById('newPriority');
+    const index = parseInt(indexInput.value);
+    const priority = normalizeValue(priorityInput.value);
+
+    if (isNaN(index) || index < 1) {
+        return showMessage("Invalid Index. Must be a number >= 1.", true);
+    }
+    if (index >= currentHeap.heapEnd()) {
+        return showMessage(`Index ${index} is out of bounds. Max index is ${currentHeap.heapEnd() - 1}.`, true);
+    }
+    if (priority === null) return showMessage("New priority cannot be empty.", true);
+    const problem = valueError(priority);
+    if (problem) return showMessage(problem, true);
+
+    const kind = compareValues(priority, currentHeap.heap[index], keyType) < 0 ? 'Decrease-key' : 'Increase-key';
+    const result = await runOperation(currentHeap, heap => heap.changePriority(index, priority),
+        `${kind} at index ${index}`);
+
+    if (result.success) {
+        showMessage(`${kind}: ${result.value} now has priority ${priority}.`);
+    } else {
+        showMessage(`Could not change priority at index ${index}.`, true);
+    }
+    priorityInput.value = '';
+}
+
+async function heapsortHandler() {
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    if (!requireArrayHeap("Heapsort")) return;
+    if (heapValues().length === 0) return showMessage("Heap is empty", true);
+
+    const order = currentHeapType === 'MaxHeap' ? 'ascending' : 'descending';
+    await runOperation(currentHeap, heap => heap.sort(), `Heapsort (${order})`);
+
+    const counts = countSteps(player.steps, player.steps.length);
+    showMessage(`Sorted ${order}: ${counts.comparisons} comparisons, ${counts.swaps} swaps.`);
+}
+
 async function deleteAtIndexHandler() {
-    if (isAnimating) return showMessage("Wait for animation...", true);
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    if (!requireArrayHeap("Delete at index")) return;
     const indexInput = document.getElementById('deleteIndex');
     const index = parseInt(indexInput.value);
     
@@ -538,11 +1148,11 @@ async function deleteAtIndexHandler() {
         return showMessage("Invalid Index. Must be a number >= 1.", true);
     }
     
-    if (index >= currentHeap.heap.length) {
-        return showMessage(`Index ${index} is out of bounds. Max index is ${currentHeap.heap.length - 1}.`, true);
+    if (index >= currentHeap.heapEnd()) {
+        return showMessage(`Index ${index} is out of bounds. Max index is ${currentHeap.heapEnd() - 1}.`, true);
     }
 
-    const result = await currentHeap.deleteAtIndex(index);
+    const result = await runOperation(currentHeap, heap => heap.deleteAtIndex(index), `Delete index ${index}`);
     
     if (result.success) {
         showMessage(`Deleted value ${result.value} at index ${index}.`);
@@ -553,82 +1163,221 @@ async function deleteAtIndexHandler() {
     indexInput.value = ''; // Clear input after use
 }
 
+// Index-based operations only exist on the array heaps
+function requireArrayHeap(action) {
+    if (currentHeap instanceof BaseHeap) return true;
+    showMessage(`${action} needs a Max Heap or Min Heap.`, true);
+    return false;
+}
+
+// Heap B, meld and decrease-key only exist on the pointer-based heaps
+function requireForestHeap(action) {
+    if (FOREST_HEAP_TYPES.includes(currentHeapType)) return true;
+    showMessage(`${action} needs a Binomial, Fibonacci, Leftist or Skew heap.`, true);
+    return false;
+}
+
+// Every value of the heap in array order. After a heapsort they are all in the
+// sorted tail, so they come from a copy with that tail put back into the heap.
+function heapValues(heap = currentHeap) {
+    if (!(heap instanceof BaseHeap) || heap.sortedFrom === null) return heap.values();
+    const copy = heap.clone();
+    copy.restoreSorted();
+    return copy.values();
+}
+
+// New empty heap matching the selected type and branching factor
+function createHeap() {
+    switch (currentHeapType) {
+        case 'MinHeap': return new MinHeap(branchingFactor, keyType, stableTies);
+        case 'BinomialHeap': return new BinomialHeap(keyType);
+        case 'FibonacciHeap': return new FibonacciHeap(keyType);
+        case 'LeftistHeap': return new LeftistHeap(keyType);
+        case 'SkewHeap': return new SkewHeap(keyType);
+        default: return new MaxHeap(branchingFactor, keyType, stableTies);
+    }
+}
+
 async function loadArrayHandler() {
-    if (isAnimating) return showMessage("Wait for animation...", true);
+    if (isBusy()) return showMessage("Wait for animation...", true);
     const arrayInput = document.getElementById('loadArray').value;
     
-    // CHANGE: Use normalizeValue and filter out nulls/empties
-    const values = arrayInput.split(',').map(normalizeValue).filter(v => v !== null); 
+    // CHANGE: Use parseValue and filter out nulls/empties
+    const values = splitValues(arrayInput).map(parseValue).filter(v => v !== null); 
     
     if (values.length === 0) return showMessage("Invalid Array. Enter comma-separated values.", true);
+    const problem = values.map(value => valueError(value)).find(error => error !== null);
+    if (problem) return showMessage(problem, true);
 
-    isAnimating = true;
-    const newHeap = currentHeapType === 'MaxHeap' ? new MaxHeap() : new MinHeap();
-    newHeap.heap = [null, ...values];
+    const newHeap = createHeap();
     currentHeap = newHeap; 
     
-    updateVisualization(true);
     showMessage(`Loading ${values.length} elements...`);
-    await sleep(ANIMATION_DELAY * 2);
 
     // Build Heap (Heapify from bottom up)
-    const n = newHeap.heap.length;
-    for (let i = parent(n - 1); i >= 1; i--) { 
-        await newHeap.heapify(i); 
-    }
+    await runOperation(newHeap, heap => heap.build(values), `Build ${currentHeapType} from ${values.length} values`);
     
-    isAnimating = false;
-    updateVisualization(true);
     showMessage(`Built ${currentHeapType} with ${values.length} elements.`);
 }
 
+async function handleBranchingChange() {
+    const select = document.getElementById('branchingFactor');
+    if (isBusy()) {
+        select.value = branchingFactor;
+        return showMessage("Wait for animation...", true);
+    }
+
+    branchingFactor = parseInt(select.value);
+    const existingValues = heapValues();
+    const newHeap = createHeap();
+    currentHeap = newHeap;
+
+    await runOperation(newHeap, heap => heap.build(existingValues), `Rebuild as ${branchingFactor}-ary heap`);
+    showMessage(`Switched to a ${branchingFactor}-ary ${currentHeapType}`);
+}
+
+function handleSpeedChange() {
+    // The slider is logarithmic: -2..2 maps to 0.25x..4x
+    const exponent = parseFloat(document.getElementById('speedSlider').value);
+    animationSpeed = Math.pow(2, exponent);
+    document.getElementById('speedLabel').textContent = `${animationSpeed.toFixed(2)}x`;
+
+    // Keep the CSS fly-in/out transition in step with the sleeps
+    document.documentElement.style.setProperty('--node-move-duration', `${ANIMATION_DELAY / animationSpeed}ms`);
+    if (currentHeap) updateShareUrl();
+}
+
+function handleInstantToggle() {
+    instantMode = document.getElementById('instantMode').checked;
+    if (currentHeap) updateShareUrl();
+}
+
+function togglePlayback() {
+    if (player.running && !player.paused) {
+        player.pause();
+    } else {
+        player.resume();
+    }
+}
+
+function stepForwardHandler() {
+    player.stepForward();
+}
+
+function stepBackwardHandler() {
+    player.stepBackward();
+}
+
+// Reflects currentHeapType and keyType in the selects, the comparator line,
+// the extract button and which controls are shown (index-based ones for
+// arrays, heap B and decrease-key for forests)
+function syncHeapTypeControls() {
+    document.getElementById('heapType').value = currentHeapType;
+    document.getElementById('keyType').value = keyType;
+    document.getElementById('stableTies').checked = stableTies;
+    const { label, comparator } = KEY_TYPES[keyType];
+    const rootRule = currentHeapType === 'MaxHeap' ? 'largest key at the root' : 'smallest key at the root';
+    document.getElementById('comparatorDisplay').textContent = `Comparator: ${label}: ${comparator}; ${rootRule}`;
+    document.body.classList.toggle('forest-mode', FOREST_HEAP_TYPES.includes(currentHeapType));
+    document.body.classList.toggle('binary-tree-mode', BINARY_TREE_HEAP_TYPES.includes(currentHeapType));
+    document.getElementById('meldSecondBtn').textContent = `${meldVerb()} B into A`;
+    document.getElementById('extractBtn').textContent = `Extract ${currentHeapType === 'MaxHeap' ? 'Max' : 'Min'}`;
+}
+
 async function handleTypeChange() {
-     if (isAnimating) return showMessage("Wait for animation...", true);
+    if (isBusy()) {
+        syncHeapTypeControls();
+        return showMessage("Wait for animation...", true);
+    }
     const newType = document.getElementById('heapType').value;
     if (newType === currentHeapType) return;
     
-    isAnimating = true;
-    const existingValues = currentHeap.heap.slice(1);
+    const existingValues = heapValues();
     currentHeapType = newType;
     
-    let newHeap = currentHeapType === 'MaxHeap' ? new MaxHeap() : new MinHeap();
-    newHeap.heap = [null, ...existingValues];
+    let newHeap = createHeap();
     currentHeap = newHeap;
+    syncHeapTypeControls();
     
-    updateVisualization(true);
-    
-    const n = currentHeap.heap.length;
-    for (let i = parent(n - 1); i >= 1; i--) { 
-        await currentHeap.heapify(i); 
-    }
+    await runOperation(newHeap, heap => heap.build(existingValues), `Switch to ${currentHeapType}`);
     
-    document.getElementById('extractBtn').textContent = `Extract ${currentHeapType === 'MaxHeap' ? 'Max' : 'Min'}`;
-    isAnimating = false;
-    updateVisualization(true);
     showMessage(`Switched to ${currentHeapType}`);
 }
 
+async function handleKeyTypeChange() {
+    const select = document.getElementById('keyType');
+    if (isBusy()) {
+        select.value = keyType;
+        return showMessage("Wait for animation...", true);
+    }
+
+    // Values that do not parse under the new type cannot be kept
+    const existingValues = heapValues();
+    const problem = existingValues.map(value => valueError(value, select.value)).find(error => error !== null);
+    keyType = select.value;
+    const newHeap = createHeap();
+    currentHeap = newHeap;
+    syncHeapTypeControls();
+
+    const kept = problem ? [] : existingValues;
+    await runOperation(newHeap, heap => heap.build(kept), `Compare keys as ${KEY_TYPES[keyType].label}`);
+    if (problem) {
+        showMessage(`Key type is now ${KEY_TYPES[keyType].label}. The heap was cleared: ${problem}`, true);
+    } else {
+        showMessage(`Key type is now ${KEY_TYPES[keyType].label}.`);
+    }
+}
+
+// Rebuilds the heap so equal keys start (or stop) leaving in insertion order.
+// The current array order becomes the insertion order.
+async function handleStableToggle() {
+    const checkbox = document.getElementById('stableTies');
+    if (isBusy()) {
+        checkbox.checked = stableTies;
+        return showMessage("Wait for animation...", true);
+    }
+
+    stableTies = checkbox.checked;
+    const existingValues = heapValues();
+    const newHeap = createHeap();
+    currentHeap = newHeap;
+
+    await runOperation(newHeap, heap => heap.build(existingValues), stableTies ? 'Break ties by insertion order' : 'Stop breaking ties');
+    showMessage(stableTies
+        ? "Stable ties on: equal keys now leave in insertion order (subscript = insertion number)."
+        : "Stable ties off: equal keys are no longer ordered.");
+}
+
 //=============================================================================
 // INITIALIZATION
 // Sets up the default state and event listeners on page load.
 //=============================================================================
 window.onload = function() {
     // Initialize Default Heap
-    currentHeap = new MaxHeap();
+    currentHeap = createHeap();
+    player = new TracePlayer();
+    syncHeapTypeControls();
 
     // Listeners
     document.getElementById('heapType').addEventListener('change', handleTypeChange);
+    document.getElementById('branchingFactor').addEventListener('change', handleBranchingChange);
+    document.getElementById('keyType').addEventListener('change', handleKeyTypeChange);
+    document.getElementById('stableTies').addEventListener('change', handleStableToggle);
+    document.getElementById('speedSlider').addEventListener('input', handleSpeedChange);
+    document.getElementById('instantMode').addEventListener('change', handleInstantToggle);
+    document.addEventListener('keydown', handleHistoryKeys);
+    document.getElementById('importJson').addEventListener('change', importJsonHandler);
     
     // Set initial Insert Value 
     document.getElementById('insertValue').value = 'Z';
     document.getElementById('insertBtnText').textContent = 'Insert';
     
-    // Initial Load
-    loadArrayHandler(); 
+    // Initial Load (a shared link wins over the default array)
+    if (!loadStateFromUrl()) loadArrayHandler(); 
 };
 
 window.addEventListener('resize', () => {
-    if (!isAnimating) updateVisualization(true);
+    if (player && !player.busy) player.view.render(player.snapshot());
 });
 
 //=============================================================================
@@ -0,0 +1,256 @@
+//=============================================================================
+// STREAMING DEMOS
+// Two classic heap applications fed one value at a time, either from a pasted
+// list or from random values arriving on a timer:
+//   Top-k:  a MinHeap holding the k largest values so far. A value larger
+//           than the root replaces it (extract, then insert); others drop.
+//   Median: a MaxHeap of the lower half and a MinHeap of the upper half. The
+//           lower half keeps the same size as the upper one, or one more.
+// Every insert and extract runs on the real heap classes and plays on the
+// panel canvases (drawn like the comparison panels). The main heap is not
+// affected.
+//=============================================================================
+const STREAM_MAX_VALUES = 127; // Arrivals per stream; keeps the panels readable
+const STREAM_MAX_K = 31;
+const MAX_STREAM_LOG = 50;
+const STREAM_RANDOM_RANGE = 100; // Timer values are 0..99
+
+const streamPanels = ['A', 'B'].map(name => ({
+    name,
+    canvasId: `streamCanvas${name}`,
+    heap: null,
+    initial: null,
+    steps: [],
+    position: 0,
+    highlights: new Map(),
+    badge: null,
+    moving: null
+}));
+
+let streamRunning = false;
+let streamStopRequested = false;
+let streamWake = null; // Ends the pause between timer arrivals early on Stop
+let streamArrivals = 0;
+
+// Current mode and k as chosen in the card
+function streamSettings() {
+    return {
+        mode: document.getElementById('streamMode').value,
+        k: parseInt(document.getElementById('streamK').value)
+    };
+}
+
+
+//=============================================================================
+// STREAM PANELS
+//=============================================================================
+// Fresh empty heaps for the selected demo (top-k only uses panel A)
+function resetStreamPanels() {
+    const { mode, k } = streamSettings();
+    const [a, b] = streamPanels;
+    a.heap = mode === 'median' ? new MaxHeap(2, keyType) : new MinHeap(2, keyType);
+    b.heap = mode === 'median' ? new MinHeap(2, keyType) : null;
+    document.getElementById('streamTitleA').textContent = mode === 'median'
+        ? 'Lower half: Max Heap (root = largest of the lower half)'
+        : `Top ${k}: Min Heap (root = smallest of the top ${k})`;
+    document.getElementById('streamTitleB').textContent = 'Upper half: Min Heap (root = smallest of the upper half)';
+    document.getElementById('streamPanelB').classList.toggle('hidden', mode !== 'median');
+    document.getElementById('streamKField').classList.toggle('hidden', mode === 'median');
+    streamPanels.forEach(panel => drawPanel(panel));
+}
+
+// Runs one heap operation on a panel and plays its trace there
+async function playStreamOperation(panel, operation) {
+    panel.initial = captureState(panel.heap);
+    const { result, steps } = recordTrace(panel.heap, operation);
+    panel.steps = steps;
+    panel.position = 0;
+    for (const step of steps) {
+        document.getElementById('streamStep').textContent = describeStep(step);
+        if (!instantMode) await animatePanelStep(panel, step);
+        panel.position++;
+    }
+    drawPanel(panel);
+    return result;
+}
+
+const streamSize = (panel) => panel.heap.values().length;
+
+
+//=============================================================================
+// ARRIVALS
+// Each returns what happened to the value, for the stream log.
+//=============================================================================
+async function topKArrival(value, k) {
+    const [panel] = streamPanels;
+    if (streamSize(panel) < k) {
+        await playStreamOperation(panel, heap => heap.insert(value));
+        return `${value} joins the top ${k}`;
+    }
+    const smallest = panel.heap.peek();
+    if (compareValues(value, smallest, keyType) <= 0) return `${value} ≤ ${smallest}, dropped`;
+
+    await playStreamOperation(panel, heap => heap.extract());
+    await playStreamOperation(panel, heap => heap.insert(value));
+    return `${value} > ${smallest}, replaces it`;
+}
+
+function topKResult(k) {
+    const values = streamPanels[0].heap.values().sort((a, b) => compareValues(b, a, keyType));
+    return `Top ${k}: ${values.join(', ')}`;
+}
+
+async function medianArrival(value) {
+    const [lower, upper] = streamPanels;
+    const goesLow = lower.heap.isEmpty() || compareValues(value, lower.heap.peek(), keyType) <= 0;
+    await playStreamOperation(goesLow ? lower : upper, heap => heap.insert(value));
+    let outcome = `${value} goes to the ${goesLow ? 'lower' : 'upper'} half`;
+
+    // Move one root across if the halves drifted apart
+    const [from, to] = streamSize(lower) > streamSize(upper) + 1 ? [lower, upper]
+        : streamSize(upper) > streamSize(lower) ? [upper, lower] : [null, null];
+    if (from) {
+        const moved = await playStreamOperation(from, heap => heap.extract());
+        await playStreamOperation(to, heap => heap.insert(moved));
+        outcome += `; ${moved} moves to the ${to === lower ? 'lower' : 'upper'} half`;
+    }
+    return outcome;
+}
+
+// With an even count the median is the mean of both roots, or both roots
+// when the keys are not numbers
+function medianResult() {
+    const [lower, upper] = streamPanels;
+    const low = lower.heap.peek();
+    if (streamSize(lower) > streamSize(upper)) return `Median: ${low}`;
+    const high = upper.heap.peek();
+    const a = parseNumber(String(keyOf(low)));
+    const b = parseNumber(String(keyOf(high)));
+    return a !== null && b !== null ? `Median: ${(a + b) / 2} (mean of ${low} and ${high})` : `Median: between ${low} and ${high}`;
+}
+
+
+//=============================================================================
+// STREAM EXECUTION
+//=============================================================================
+function printStreamLine(text) {
+    const log = document.getElementById('streamLog');
+    const line = document.createElement('li');
+    line.textContent = text;
+    log.appendChild(line);
+    while (log.children.length > MAX_STREAM_LOG) log.firstChild.remove();
+    log.scrollTop = log.scrollHeight;
+}
+
+async function handleArrival(value) {
+    const { mode, k } = streamSettings();
+    streamArrivals++;
+    const outcome = mode === 'median' ? await medianArrival(value) : await topKArrival(value, k);
+    const result = mode === 'median' ? medianResult() : topKResult(k);
+    document.getElementById('streamResult').textContent = result;
+    printStreamLine(`#${streamArrivals}: ${outcome}. ${result}`);
+    announce(`${outcome}. ${result}`);
+}
+
+function updateStreamControls() {
+    ['streamListBtn', 'streamTimerBtn', 'streamMode', 'streamK'].forEach(id => {
+        document.getElementById(id).disabled = streamRunning;
+    });
+    document.getElementById('streamStopBtn').disabled = !streamRunning;
+}
+
+/**
+ * Feeds values one at a time until the source runs dry or Stop is pressed.
+ * @param {Function} nextValue Returns the next value, or null at the end.
+ * @param {number} pause Milliseconds between arrivals.
+ */
+async function runStream(nextValue, pause) {
+    streamRunning = true;
+    streamStopRequested = false;
+    activeDemo = 'Streaming demo';
+    streamArrivals = 0;
+    document.getElementById('streamLog').textContent = '';
+    document.getElementById('streamResult').textContent = '';
+    resetStreamPanels();
+    updateStreamControls();
+
+    try {
+        for (let value = nextValue(); value !== null && !streamStopRequested; value = nextValue()) {
+            await handleArrival(value);
+            if (pause > 0 && !streamStopRequested) {
+                await new Promise(resolve => {
+                    streamWake = resolve;
+                    setTimeout(resolve, pause);
+                });
+                streamWake = null;
+            }
+        }
+    } finally {
+        streamRunning = false;
+        activeDemo = null;
+        document.getElementById('streamStep').textContent = '';
+        updateStreamControls();
+    }
+    showMessage(`Stream ${streamStopRequested ? 'stopped' : 'finished'} after ${streamArrivals} values. ${document.getElementById('streamResult').textContent}`);
+}
+
+// Why the k field cannot be used, or null (the median demo has no k)
+function streamKError() {
+    const { mode, k } = streamSettings();
+    if (mode === 'median' || (Number.isInteger(k) && k >= 1 && k <= STREAM_MAX_K)) return null;
+    return `k must be a whole number from 1 to ${STREAM_MAX_K}.`;
+}
+
+
+//=============================================================================
+// STREAM EVENT HANDLERS
+//=============================================================================
+async function streamListHandler() {
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    const kProblem = streamKError();
+    if (kProblem) return showMessage(kProblem, true);
+    const values = splitValues(document.getElementById('streamValues').value).map(parseValue).filter(v => v !== null);
+    if (values.length === 0) return showMessage("Enter comma-separated values to stream.", true);
+    if (values.length > STREAM_MAX_VALUES) return showMessage(`Stream at most ${STREAM_MAX_VALUES} values at a time.`, true);
+    const problem = values.map(value => valueError(value)).find(error => error !== null);
+    if (problem) return showMessage(problem, true);
+
+    let next = 0;
+    await runStream(() => next < values.length ? values[next++] : null, 0);
+}
+
+async function streamTimerHandler() {
+    if (isBusy()) return showMessage("Wait for animation...", true);
+    const kProblem = streamKError();
+    if (kProblem) return showMessage(kProblem, true);
+    const seconds = parseFloat(document.getElementById('streamInterval').value);
+    if (!(seconds >= 0.1 && seconds <= 10)) return showMessage("The interval must be between 0.1 and 10 seconds.", true);
+    if (valueError('0') !== null) return showMessage("Random streams need numeric keys. Paste a list instead.", true);
+
+    let count = 0;
+    await runStream(() => count++ < STREAM_MAX_VALUES ? String(randomInt(STREAM_RANDOM_RANGE)) : null, seconds * 1000);
+}
+
+function streamStopHandler() {
+    streamStopRequested = true;
+    if (streamWake) streamWake();
+}
+
+// A new mode or k starts over with empty heaps
+function handleStreamSettingChange() {
+    if (streamRunning) return;
+    streamArrivals = 0;
+    document.getElementById('streamLog').textContent = '';
+    document.getElementById('streamResult').textContent = '';
+    resetStreamPanels();
+}
+
+window.addEventListener('load', () => {
+    document.getElementById('streamMode').addEventListener('change', handleStreamSettingChange);
+    document.getElementById('streamK').addEventListener('change', handleStreamSettingChange);
+    resetStreamPanels();
+    updateStreamControls();
+    window.addEventListener('resize', () => {
+        if (!streamRunning) streamPanels.forEach(panel => drawPanel(panel));
+    });
+});
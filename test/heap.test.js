@@ -0,0 +1,229 @@
+//=============================================================================
+// HEAP PROPERTY TESTS
+// Random operation sequences on the array heaps (Max and Min). After each
+// step the heap property must hold and the heap must hold exactly the values
+// a plain list model holds. Run with: node --test
+//=============================================================================
+const test = require('node:test');
+const assert = require('node:assert');
+const { MaxHeap, MinHeap, PriorityItem, compareValues } = require('../heap.js');
+
+const STEPS = 400;
+const KEY_RANGE = 40; // Small on purpose, so equal keys are common
+
+// Seeded generator (mulberry32), so a failure can be replayed
+function randomGenerator(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const sortedKeys = (values) => values.map(Number).sort((a, b) => a - b);
+
+// The value extract() must return: the largest for a MaxHeap, else the smallest
+function expectedRoot(HeapClass, values) {
+    const keys = sortedKeys(values);
+    return String(HeapClass === MaxHeap ? keys[keys.length - 1] : keys[0]);
+}
+
+// Every entry must sit on the right side of its parent (1-based, d children each)
+function assertValid(heap, HeapClass, model, step) {
+    const direction = HeapClass === MaxHeap ? 1 : -1;
+    const d = heap.d || 2;
+    for (let i = 2; i < heap.heap.length; i++) {
+        const parentIndex = Math.floor((i - 2) / d) + 1;
+        assert.ok(direction * compareValues(heap.heap[parentIndex], heap.heap[i]) >= 0,
+            `heap property broken at index ${i} after step ${step}`);
+    }
+    assert.deepStrictEqual(sortedKeys(heap.heap.slice(1)), sortedKeys(model), `contents differ after step ${step}`);
+}
+
+//=============================================================================
+// INSERT & EXTRACT
+//=============================================================================
+for (const HeapClass of [MaxHeap, MinHeap]) {
+    test(`${HeapClass.name}: random insert/extract`, () => {
+        const random = randomGenerator(HeapClass === MaxHeap ? 1 : 2);
+        const heap = new HeapClass();
+        const model = [];
+
+        for (let step = 1; step <= STEPS; step++) {
+            if (model.length === 0 || random() < 0.55) {
+                const value = String(Math.floor(random() * KEY_RANGE));
+                heap.insert(value);
+                model.push(value);
+            } else {
+                const root = expectedRoot(HeapClass, model);
+                assert.strictEqual(heap.extract(), root, `extract at step ${step}`);
+                model.splice(model.indexOf(root), 1);
+            }
+            assertValid(heap, HeapClass, model, step);
+        }
+        assert.strictEqual(new HeapClass().extract(), null);
+    });
+}
+
+test('listeners see every step after it is applied', () => {
+    const heap = new MaxHeap();
+    const events = [];
+    const unsubscribe = heap.subscribe(event => events.push({ ...event, root: heap.heap[1] }));
+
+    heap.insert('3');
+    heap.insert('7');
+    assert.deepStrictEqual(events.map(event => event.type), ['insert', 'insert', 'compare', 'swap']);
+    assert.deepStrictEqual(events[1], { type: 'insert', i: 2, value: '7', root: '3' });
+    assert.deepStrictEqual(events[2], { type: 'compare', i: 1, j: 2, result: -1, root: '3' });
+    assert.deepStrictEqual(events[3], { type: 'swap', i: 1, j: 2, root: '7' });
+
+    events.length = 0;
+    assert.strictEqual(heap.extract(), '7');
+    assert.strictEqual(events[0].type, 'remove');
+    assert.strictEqual(events[0].i, 1);
+    assert.strictEqual(events[0].value, '7');
+    assert.strictEqual(events[0].root, '3');
+
+    unsubscribe();
+    heap.insert('1');
+    assert.strictEqual(events.length, 1);
+});
+
+//=============================================================================
+// D-ARY HEAPS
+//=============================================================================
+for (const HeapClass of [MaxHeap, MinHeap]) {
+    for (let d = 2; d <= 6; d++) {
+        test(`${HeapClass.name} d=${d}: random insert/extract/deleteAtIndex`, () => {
+            const random = randomGenerator(d * 1000 + (HeapClass === MaxHeap ? 1 : 2));
+            const heap = new HeapClass(d);
+            const model = [];
+
+            for (let step = 1; step <= STEPS; step++) {
+                const pick = random();
+                if (model.length === 0 || pick < 0.5) {
+                    const value = String(Math.floor(random() * KEY_RANGE));
+                    heap.insert(value);
+                    model.push(value);
+                } else if (pick < 0.75) {
+                    const root = expectedRoot(HeapClass, model);
+                    assert.strictEqual(heap.extract(), root, `extract at step ${step}`);
+                    model.splice(model.indexOf(root), 1);
+                } else {
+                    const index = 1 + Math.floor(random() * model.length);
+                    const result = heap.deleteAtIndex(index);
+                    assert.ok(result.success, `deleteAtIndex(${index}) at step ${step}`);
+                    model.splice(model.indexOf(result.value), 1);
+                }
+                assertValid(heap, HeapClass, model, step);
+            }
+        });
+    }
+}
+
+test('deleteAtIndex rejects out-of-range indices without touching the heap', () => {
+    const heap = new MaxHeap(3);
+    heap.build(['4', '9', '1']);
+    for (const index of [0, 4]) {
+        assert.strictEqual(heap.deleteAtIndex(index).success, false);
+    }
+    assert.deepStrictEqual(heap.heap.slice(1), ['9', '4', '1']);
+});
+
+//=============================================================================
+// HEAPSORT
+//=============================================================================
+test('sort() leaves the values in order and restoreSorted() makes them a heap again', () => {
+    for (const HeapClass of [MaxHeap, MinHeap]) {
+        const heap = new HeapClass(3);
+        heap.build(['5', '3', '8', '1', '9', '2']);
+        heap.sort();
+        assert.ok(heap.isEmpty());
+        const ascending = HeapClass === MaxHeap ? [1, 2, 3, 5, 8, 9] : [9, 8, 5, 3, 2, 1];
+        assert.deepStrictEqual(heap.heap.slice(1).map(Number), ascending);
+
+        heap.restoreSorted();
+        assert.strictEqual(heap.sortedFrom, null);
+        assertValid(heap, HeapClass, ['5', '3', '8', '1', '9', '2'], 'restoreSorted');
+    }
+});
+
+test('deleteAtIndex stops at the sorted region', () => {
+    const heap = new MinHeap();
+    heap.build(['4', '9', '1']);
+    heap.sort();
+    assert.strictEqual(heap.deleteAtIndex(1).success, false);
+    assert.strictEqual(heap.heap.length, 4);
+});
+
+//=============================================================================
+// CHANGE PRIORITY
+//=============================================================================
+for (const HeapClass of [MaxHeap, MinHeap]) {
+    for (let d = 2; d <= 6; d++) {
+        test(`${HeapClass.name} d=${d}: random insert/changePriority`, () => {
+            const random = randomGenerator(d * 2000 + (HeapClass === MaxHeap ? 1 : 2));
+            const key = () => String(Math.floor(random() * KEY_RANGE));
+            const heap = new HeapClass(d);
+            const model = [];
+
+            for (let step = 1; step <= STEPS; step++) {
+                if (model.length === 0 || random() < 0.3) {
+                    const value = key();
+                    heap.insert(value);
+                    model.push(value);
+                } else {
+                    const index = 1 + Math.floor(random() * model.length);
+                    const priority = key();
+                    const result = heap.changePriority(index, priority);
+                    assert.ok(result.success, `changePriority(${index}) at step ${step}`);
+                    model[model.indexOf(result.value)] = priority;
+                }
+                assertValid(heap, HeapClass, model, step);
+            }
+        });
+    }
+}
+
+test('changePriority keeps the label and rejects out-of-range indices', () => {
+    const heap = new MinHeap();
+    heap.build([new PriorityItem('4', 'a'), new PriorityItem('9', 'b')]);
+    assert.strictEqual(heap.changePriority(2, '1').success, true);
+    assert.strictEqual(String(heap.heap[1]), '1:b');
+    for (const index of [0, 3]) {
+        assert.strictEqual(heap.changePriority(index, '5').success, false);
+    }
+    assert.deepStrictEqual(heap.heap.slice(1).map(String), ['1:b', '4:a']);
+});
+
+test('extract() marks the removal of the root as extracted, deleteAtIndex(1) does not', () => {
+    const heap = new MinHeap();
+    heap.build(['4', '9', '1']);
+    const removals = [];
+    heap.subscribe(event => event.type === 'remove' && removals.push(Boolean(event.extracted)));
+    heap.extract();
+    heap.deleteAtIndex(1);
+    assert.deepStrictEqual(removals, [true, false]);
+});
+
+//=============================================================================
+// STABLE TIES
+//=============================================================================
+test('a stable heap extracts equal keys in insertion order', () => {
+    for (const HeapClass of [MaxHeap, MinHeap]) {
+        for (let d = 2; d <= 6; d++) {
+            const random = randomGenerator(d);
+            const heap = new HeapClass(d, 'numeric', true);
+            const items = Array.from({ length: 60 }, (_, k) => new PriorityItem(String(Math.floor(random() * 5)), `t${k}`));
+            items.forEach(item => heap.insert(item));
+
+            const extracted = [];
+            while (!heap.isEmpty()) extracted.push(heap.extract());
+            const direction = HeapClass === MaxHeap ? -1 : 1;
+            const expected = items.slice().sort((a, b) =>
+                direction * compareValues(a, b, 'numeric') || items.indexOf(a) - items.indexOf(b));
+            assert.deepStrictEqual(extracted.map(String), expected.map(String), `${HeapClass.name} d=${d}`);
+        }
+    }
+});
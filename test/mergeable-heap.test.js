@@ -0,0 +1,138 @@
+//=============================================================================
+// MERGEABLE HEAP TESTS
+// Random operation sequences on the forest heaps, checked against a sorted
+// reference list. After each step every tree must be heap-ordered and the
+// forest must hold exactly the reference values. Run with: node --test
+//=============================================================================
+const test = require('node:test');
+const assert = require('node:assert');
+const { compareValues } = require('../heap.js');
+const { BinomialHeap, FibonacciHeap, LeftistHeap, SkewHeap } = require('../mergeable-heap.js');
+
+const HEAP_CLASSES = [BinomialHeap, FibonacciHeap, LeftistHeap, SkewHeap];
+const DECREASE_KEY_CLASSES = [BinomialHeap, FibonacciHeap];
+const STEPS = 400;
+const KEY_RANGE = 40; // Small on purpose, so equal keys are common
+
+// Seeded generator (mulberry32), so a failure can be replayed
+function randomGenerator(seed) {
+    return () => {
+        seed = (seed + 0x6D2B79F5) | 0;
+        let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+        t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+const sortedKeys = (values) => values.map(Number).sort((a, b) => a - b);
+const smallest = (values) => String(sortedKeys(values)[0]);
+
+// No child may be smaller than its parent; binary-tree heaps keep null slots
+function assertValid(heap, reference, step) {
+    heap.roots.forEach(root => assert.strictEqual(root.parent, null, `root ${root.id} has a parent after step ${step}`));
+    heap.nodes().forEach(node => node.children.forEach(child => {
+        if (!child) return;
+        assert.strictEqual(child.parent, node, `parent link of ${child.id} after step ${step}`);
+        assert.ok(compareValues(node.value, child.value) <= 0, `heap order broken at ${child.id} after step ${step}`);
+    }));
+    assert.deepStrictEqual(sortedKeys(heap.values()), sortedKeys(reference), `contents differ after step ${step}`);
+}
+
+// Inserts or extracts the minimum at random, mirroring it on the reference
+function insertOrExtract(heap, reference, random, step) {
+    if (reference.length === 0 || random() < 0.55) {
+        const value = String(Math.floor(random() * KEY_RANGE));
+        heap.insert(value);
+        reference.push(value);
+    } else {
+        const min = smallest(reference);
+        assert.strictEqual(heap.peek(), min, `peek at step ${step}`);
+        assert.strictEqual(heap.extract(), min, `extract at step ${step}`);
+        reference.splice(reference.indexOf(min), 1);
+    }
+}
+
+for (const HeapClass of HEAP_CLASSES) {
+    test(`${HeapClass.name}: random insert/extract-min`, () => {
+        const random = randomGenerator(HEAP_CLASSES.indexOf(HeapClass) + 1);
+        const heap = new HeapClass();
+        const reference = [];
+
+        for (let step = 1; step <= STEPS; step++) {
+            insertOrExtract(heap, reference, random, step);
+            assertValid(heap, reference, step);
+        }
+        while (reference.length > 0) insertOrExtract(heap, reference, () => 1, 'drain');
+        assert.strictEqual(heap.extract(), null);
+    });
+
+    test(`${HeapClass.name}: meld with a second heap`, () => {
+        const random = randomGenerator(HEAP_CLASSES.indexOf(HeapClass) + 100);
+        const heap = new HeapClass();
+        const reference = [];
+
+        for (let step = 1; step <= 40; step++) {
+            for (let k = 0; k < 5; k++) insertOrExtract(heap, reference, random, step);
+            const other = Array.from({ length: Math.floor(random() * 8) }, () => String(Math.floor(random() * KEY_RANGE)));
+            heap.meld(other);
+            reference.push(...other);
+            assertValid(heap, reference, step);
+            if (reference.length > 0) assert.strictEqual(heap.peek(), smallest(reference), `minimum after meld ${step}`);
+        }
+        const ids = heap.nodes().map(node => node.id);
+        assert.strictEqual(new Set(ids).size, ids.length, 'node ids stay unique');
+    });
+}
+
+for (const HeapClass of DECREASE_KEY_CLASSES) {
+    test(`${HeapClass.name}: random decreaseKey`, () => {
+        const random = randomGenerator(DECREASE_KEY_CLASSES.indexOf(HeapClass) + 200);
+        const heap = new HeapClass();
+        const reference = [];
+
+        for (let step = 1; step <= STEPS; step++) {
+            if (reference.length === 0 || random() < 0.6) {
+                insertOrExtract(heap, reference, random, step);
+            } else {
+                const nodes = heap.nodes();
+                const node = nodes[Math.floor(random() * nodes.length)];
+                const previous = node.value;
+                const priority = String(Number(previous) - Math.floor(random() * 6));
+                assert.deepStrictEqual(heap.decreaseKey(node.id, priority), { success: true, value: previous });
+                reference[reference.indexOf(previous)] = priority;
+                assert.strictEqual(heap.peek(), smallest(reference), `minimum after decreaseKey at step ${step}`);
+            }
+            assertValid(heap, reference, step);
+        }
+    });
+
+    test(`${HeapClass.name}: decreaseKey refuses a larger key or an unknown node`, () => {
+        const heap = new HeapClass();
+        heap.build(['4', '9', '1']);
+        const node = heap.nodes().find(n => n.value === '4');
+        assert.deepStrictEqual(heap.decreaseKey(node.id, '7'), { success: false, value: '4' });
+        assert.deepStrictEqual(heap.decreaseKey(999, '0'), { success: false, value: null });
+        assertValid(heap, ['4', '9', '1'], 'refused');
+    });
+}
+
+for (const HeapClass of HEAP_CLASSES) {
+    test(`${HeapClass.name}: heap B stays apart until it is melded`, () => {
+        const heap = new HeapClass();
+        assert.strictEqual(heap.meldSecond(), false);
+        heap.build(['8', '3', '12', '5']);
+        heap.buildSecond(['7', '1', '10']);
+
+        assert.deepStrictEqual(sortedKeys(heap.values()), [3, 5, 8, 12]);
+        assert.strictEqual(heap.peek(), '3');
+        assertValid(heap.second, ['7', '1', '10'], 'buildSecond');
+        const idsA = heap.nodes().map(node => node.id);
+        heap.second.nodes().forEach(node => assert.ok(!idsA.includes(node.id), `id ${node.id} used twice`));
+
+        assert.strictEqual(heap.meldSecond(), true);
+        assert.strictEqual(heap.second, null);
+        const reference = ['8', '3', '12', '5', '7', '1', '10'];
+        assertValid(heap, reference, 'meldSecond');
+        sortedKeys(reference).forEach(key => assert.strictEqual(heap.extract(), String(key)));
+    });
+}
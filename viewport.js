@@ -0,0 +1,361 @@
+//=============================================================================
+// TREE VIEWPORT
+// Zoom and pan for the array heap tree. Node positions stay in "world"
+// coordinates: the canvas only covers the visible area and draws through the
+// viewport transform, and the node divs get the same transform in CSS.
+//=============================================================================
+const LARGE_HEAP_NODES = 255;  // Above this, nodes are drawn on the canvas instead of as divs
+const AUTO_VISIBLE_LEVELS = 8; // Levels shown for large heaps while Levels is "Auto"
+const MIN_ZOOM = 0.01;
+const MAX_ZOOM = 3;
+const MIN_LABEL_ZOOM = 0.35;   // Canvas nodes get their value drawn from this zoom on
+
+const treeViewport = {
+    zoom: 1, panX: 0, panY: 0, worldWidth: 0, worldHeight: 0,
+    rootX: 0,     // World x of the root at the last layout
+    moved: false  // The user zoomed or panned since the last reset
+};
+let viewportHeap = null; // Heap the view was last reset for
+const canvasHighlights = new Map(); // Index -> highlight type of canvas-drawn nodes
+let visibleLevelSetting = 'auto';   // 'auto', 'all' or a number of levels
+let viewportDrag = null;            // Pan in progress: { startX, startY, panX, panY }
+let treeRedrawPending = false;
+
+const minimap = document.getElementById('treeMinimap');
+const minimapCtx = minimap.getContext('2d');
+let minimapScale = { scale: 1, offsetX: 0, offsetY: 0 }; // World -> minimap mapping of the last draw
+
+// Levels of the tree that get positions; deeper ones are drawn collapsed
+function visibleLevels(size) {
+    if (visibleLevelSetting === 'all') return Infinity;
+    if (visibleLevelSetting === 'auto') return size > LARGE_HEAP_NODES ? AUTO_VISIBLE_LEVELS : Infinity;
+    return visibleLevelSetting;
+}
+
+function usesCanvasNodes(heapArray) {
+    return heapArray.length - 1 > LARGE_HEAP_NODES;
+}
+
+// Called after every layout: fits the canvas to the viewport. A new heap (a
+// build, a type switch, undo) starts again at 100% with the root centered, and
+// so does a tree that changed width while the view is untouched. Once the user
+// zoomed or panned, a wider or narrower tree keeps the zoom and the root stays
+// where it was on screen.
+function setTreeWorld(width, height) {
+    canvas.width = scrollContainer.clientWidth;
+    canvas.style.width = `${canvas.width}px`;
+    canvasHighlights.clear();
+
+    const rootX = positions[1] ? positions[1].x : 0;
+    if (currentHeap !== viewportHeap || (!treeViewport.moved && width !== treeViewport.worldWidth)) {
+        viewportHeap = currentHeap;
+        treeViewport.worldWidth = width;
+        resetViewport();
+    } else if (width !== treeViewport.worldWidth) {
+        treeViewport.worldWidth = width;
+        treeViewport.panX += (treeViewport.rootX - rootX) * treeViewport.zoom;
+    }
+    treeViewport.rootX = rootX;
+    treeViewport.worldHeight = height;
+    applyViewportTransform();
+}
+
+function resetViewport() {
+    treeViewport.moved = false;
+    treeViewport.zoom = 1;
+    treeViewport.panX = positions[1] ? canvas.width / 2 - positions[1].x : 0;
+    treeViewport.panY = 0;
+}
+
+function applyViewportTransform() {
+    const { zoom, panX, panY } = treeViewport;
+    nodeContainer.style.transform = `translate(${panX}px, ${panY}px) scale(${zoom})`;
+    document.getElementById('zoomLabel').textContent = `${Math.round(zoom * 100)}%`;
+}
+
+// Clears the canvas and leaves the viewport transform set for drawing
+function beginTreeDrawing() {
+    const { zoom, panX, panY } = treeViewport;
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(zoom, 0, 0, zoom, panX, panY);
+}
+
+// World rectangle currently on screen, with room for a node on every side
+function visibleWorldRect() {
+    const { zoom, panX, panY } = treeViewport;
+    return {
+        left: -panX / zoom - NODE_RADIUS,
+        right: (canvas.width - panX) / zoom + NODE_RADIUS,
+        top: -panY / zoom - NODE_RADIUS,
+        bottom: (canvas.height - panY) / zoom + NODE_RADIUS
+    };
+}
+
+function isVisible(pos, rect) {
+    return pos.x >= rect.left && pos.x <= rect.right && pos.y >= rect.top && pos.y <= rect.bottom;
+}
+
+function clientToWorld(clientX, clientY) {
+    const rect = scrollContainer.getBoundingClientRect();
+    const { zoom, panX, panY } = treeViewport;
+    return { x: (clientX - rect.left - panX) / zoom, y: (clientY - rect.top - panY) / zoom };
+}
+
+// Pan and zoom only move the picture; nodes and edges are redrawn once per frame
+function requestTreeRedraw() {
+    if (treeRedrawPending) return;
+    treeRedrawPending = true;
+    requestAnimationFrame(() => {
+        treeRedrawPending = false;
+        applyViewportTransform();
+        drawEdges(renderedTree);
+        if (usesCanvasNodes(renderedTree)) drawCanvasNodes(renderedTree);
+        drawMinimap();
+    });
+}
+
+
+//=============================================================================
+// CANVAS NODES & COLLAPSED LEVELS
+// Large heaps skip the divs: nodes inside the viewport are painted on the
+// canvas. Nodes on the last visible level with hidden children get a
+// triangle showing how many descendants were collapsed.
+//=============================================================================
+const CANVAS_HIGHLIGHT_COLORS = {
+    insert: '#f97316',
+    swap: '#22c55e',
+    extract: '#ef4444',
+    compare: '#eab308',
+    sorted: '#9ca3af',
+    'practice-selected': '#0ea5e9',
+    match: '#db2777',
+    focus: '#f59e0b' // Keyboard focus ring, like .node:focus-visible
+};
+
+// Number of nodes in the subtree of `index` in a complete d-ary tree of `size` nodes
+function subtreeSize(index, size, d) {
+    let count = 0;
+    for (let lo = index, hi = index; lo <= size; lo = first_child(lo, d), hi = last_child(hi, d)) {
+        count += Math.min(hi, size) - lo + 1;
+    }
+    return count;
+}
+
+function drawCollapsedSubtrees(heapArray) {
+    const d = currentHeap.d;
+    const size = heapArray.length - 1;
+    const rect = visibleWorldRect();
+    ctx.font = '11px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    for (let i = 1; i <= size; i++) {
+        const pos = positions[i];
+        const child = first_child(i, d);
+        if (!pos || child > size || positions[child] || !isVisible(pos, rect)) continue;
+
+        ctx.fillStyle = '#e5e7eb';
+        ctx.beginPath();
+        ctx.moveTo(pos.x, pos.y + NODE_RADIUS);
+        ctx.lineTo(pos.x - NODE_RADIUS, pos.y + NODE_RADIUS + 30);
+        ctx.lineTo(pos.x + NODE_RADIUS, pos.y + NODE_RADIUS + 30);
+        ctx.closePath();
+        ctx.fill();
+        ctx.fillStyle = '#4b5563';
+        ctx.fillText(`+${subtreeSize(i, size, d) - 1}`, pos.x, pos.y + NODE_RADIUS + 22);
+    }
+}
+
+function drawCanvasNodes(heapArray) {
+    nodeContainer.querySelectorAll('.node').forEach(node => node.remove());
+    const rect = visibleWorldRect();
+    const showLabels = treeViewport.zoom >= MIN_LABEL_ZOOM;
+    ctx.font = 'bold 14px sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+
+    for (let i = 1; i < heapArray.length; i++) {
+        const pos = positions[i];
+        if (!pos || !isVisible(pos, rect)) continue;
+
+        const highlight = canvasHighlights.get(i) || (isFindMatch(heapArray[i]) ? 'match' : undefined);
+        ctx.fillStyle = highlight === 'sorted' ? CANVAS_HIGHLIGHT_COLORS.sorted : i === 1 ? '#10b981' : '#6366f1';
+        ctx.beginPath();
+        ctx.arc(pos.x, pos.y, NODE_RADIUS, 0, Math.PI * 2);
+        ctx.fill();
+        if (highlight) {
+            ctx.strokeStyle = CANVAS_HIGHLIGHT_COLORS[highlight];
+            ctx.lineWidth = 4;
+            ctx.stroke();
+        }
+        if (showLabels) {
+            ctx.fillStyle = 'white';
+            ctx.fillText(String(keyOf(heapArray[i])), pos.x, pos.y, NODE_RADIUS * 2 - 4);
+        }
+        if (i === canvasFocusIndex && document.activeElement === nodeContainer) {
+            ctx.strokeStyle = CANVAS_HIGHLIGHT_COLORS.focus;
+            ctx.lineWidth = 3;
+            ctx.beginPath();
+            ctx.arc(pos.x, pos.y, NODE_RADIUS + 5, 0, Math.PI * 2);
+            ctx.stroke();
+        }
+    }
+}
+
+// Centers the view on a node that is off screen, e.g. one reached by the keyboard
+function revealCanvasNode(index) {
+    const pos = positions[index];
+    if (!pos || isVisible(pos, visibleWorldRect())) return;
+    treeViewport.panX = canvas.width / 2 - pos.x * treeViewport.zoom;
+    treeViewport.panY = canvas.height / 2 - pos.y * treeViewport.zoom;
+    treeViewport.moved = true;
+}
+
+function highlightCanvasNode(index, type) {
+    canvasHighlights.set(index, type);
+    requestTreeRedraw();
+}
+
+function unhighlightCanvasNode(index) {
+    canvasHighlights.delete(index);
+    requestTreeRedraw();
+}
+
+
+//=============================================================================
+// MINIMAP
+// The whole tree in miniature with the visible area outlined. Click or drag
+// on it to move the view there. Hidden while the tree fits on screen.
+//=============================================================================
+function drawMinimap() {
+    const { zoom, panX, panY, worldWidth, worldHeight } = treeViewport;
+    const fits = worldWidth * zoom <= canvas.width && worldHeight * zoom <= canvas.height;
+    minimap.classList.toggle('hidden', fits || worldWidth === 0);
+    if (fits || worldWidth === 0) return;
+
+    const scale = Math.min(minimap.width / worldWidth, minimap.height / worldHeight);
+    const offsetX = (minimap.width - worldWidth * scale) / 2;
+    const offsetY = (minimap.height - worldHeight * scale) / 2;
+    minimapScale = { scale, offsetX, offsetY };
+
+    minimapCtx.clearRect(0, 0, minimap.width, minimap.height);
+    minimapCtx.fillStyle = '#6366f1';
+    for (let i = 1; i < renderedTree.length; i++) {
+        const pos = positions[i];
+        if (pos) minimapCtx.fillRect(offsetX + pos.x * scale - 1, offsetY + pos.y * scale - 1, 2, 2);
+    }
+
+    minimapCtx.strokeStyle = '#ef4444';
+    minimapCtx.lineWidth = 1.5;
+    minimapCtx.strokeRect(
+        offsetX + (-panX / zoom) * scale,
+        offsetY + (-panY / zoom) * scale,
+        (canvas.width / zoom) * scale,
+        (canvas.height / zoom) * scale
+    );
+}
+
+// Centers the view on the world point under a minimap click
+function centerOnMinimapPoint(event) {
+    const rect = minimap.getBoundingClientRect();
+    const { scale, offsetX, offsetY } = minimapScale;
+    const worldX = (event.clientX - rect.left - offsetX) / scale;
+    const worldY = (event.clientY - rect.top - offsetY) / scale;
+    treeViewport.panX = canvas.width / 2 - worldX * treeViewport.zoom;
+    treeViewport.panY = canvas.height / 2 - worldY * treeViewport.zoom;
+    treeViewport.moved = true;
+    requestTreeRedraw();
+}
+
+
+//=============================================================================
+// VIEWPORT EVENT HANDLERS
+// Drag the background to pan, scroll to zoom around the mouse, or use the
+// toolbar buttons.
+//=============================================================================
+function zoomAt(factor, screenX, screenY) {
+    const { zoom, panX, panY } = treeViewport;
+    const newZoom = Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom * factor));
+    // Keep the world point under (screenX, screenY) in place
+    treeViewport.panX = screenX - (screenX - panX) * newZoom / zoom;
+    treeViewport.panY = screenY - (screenY - panY) * newZoom / zoom;
+    treeViewport.zoom = newZoom;
+    treeViewport.moved = true;
+    requestTreeRedraw();
+}
+
+function zoomTreeHandler(factor) {
+    zoomAt(factor, canvas.width / 2, canvas.height / 2);
+}
+
+function fitTreeHandler() {
+    const { worldWidth, worldHeight } = treeViewport;
+    if (worldWidth === 0) return;
+    const zoom = Math.min(1, canvas.width / worldWidth, canvas.height / worldHeight);
+    treeViewport.zoom = Math.max(MIN_ZOOM, zoom);
+    treeViewport.panX = (canvas.width - worldWidth * treeViewport.zoom) / 2;
+    treeViewport.panY = Math.max(0, (canvas.height - worldHeight * treeViewport.zoom) / 2);
+    treeViewport.moved = true; // A fit chosen by the user is kept like any zoom
+    requestTreeRedraw();
+}
+
+function resetTreeViewHandler() {
+    resetViewport();
+    requestTreeRedraw();
+}
+
+function handleVisibleLevelsChange() {
+    const value = document.getElementById('visibleLevels').value;
+    visibleLevelSetting = ['auto', 'all'].includes(value) ? value : parseInt(value);
+    // Force a new layout even if the width happens to stay the same
+    treeViewport.worldWidth = 0;
+    if (currentHeap instanceof BaseHeap && !player.busy) player.view.render(player.snapshot());
+}
+
+function handleViewportMouseDown(event) {
+    if (event.button !== 0) return;
+    if (event.target.closest('.node, .node-editor, .tree-toolbar, #treeMinimap, .merge-overlay')) return;
+    // Canvas-drawn nodes are clicked through node-editor.js
+    if (usesCanvasNodes(renderedTree) && nodeIndexAt(event.clientX, event.clientY) !== null) return;
+
+    viewportDrag = { startX: event.clientX, startY: event.clientY, panX: treeViewport.panX, panY: treeViewport.panY };
+    scrollContainer.classList.add('panning');
+}
+
+function handleViewportMouseMove(event) {
+    if (!viewportDrag) return;
+    treeViewport.panX = viewportDrag.panX + event.clientX - viewportDrag.startX;
+    treeViewport.panY = viewportDrag.panY + event.clientY - viewportDrag.startY;
+    treeViewport.moved = true;
+    requestTreeRedraw();
+}
+
+function handleViewportMouseUp() {
+    viewportDrag = null;
+    scrollContainer.classList.remove('panning');
+}
+
+function handleViewportWheel(event) {
+    event.preventDefault();
+    const rect = scrollContainer.getBoundingClientRect();
+    zoomAt(Math.exp(-event.deltaY * 0.001), event.clientX - rect.left, event.clientY - rect.top);
+}
+
+window.addEventListener('load', () => {
+    scrollContainer.addEventListener('mousedown', handleViewportMouseDown);
+    scrollContainer.addEventListener('wheel', handleViewportWheel, { passive: false });
+    document.addEventListener('mousemove', handleViewportMouseMove);
+    document.addEventListener('mouseup', handleViewportMouseUp);
+    document.getElementById('visibleLevels').addEventListener('change', handleVisibleLevelsChange);
+
+    let minimapDragging = false;
+    minimap.addEventListener('mousedown', event => {
+        minimapDragging = true;
+        centerOnMinimapPoint(event);
+    });
+    minimap.addEventListener('mousemove', event => {
+        if (minimapDragging) centerOnMinimapPoint(event);
+    });
+    document.addEventListener('mouseup', () => { minimapDragging = false; });
+});